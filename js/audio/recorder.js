@@ -4,15 +4,18 @@ import { arrayBufferToBase64 } from '../utils/utils.js';
  * AudioRecorder manages the capture and processing of audio input from the user's microphone.
  * It uses the Web Audio API and AudioWorklet to process audio in real-time with minimal latency.
  * The processed audio is converted to base64-encoded Int16 format suitable for transmission.
+ * Dispatches 'speechstart' and 'speechend' when voice activity detection hears the user start and stop speaking.
  */
 export class AudioRecorder extends EventTarget {
     /**
      * Creates an AudioRecorder instance
+     * @param {Object} [options]
+     * @param {Object} [options.vad] - Voice activity detection options of the worklet, e.g. { dropSilence: true }
      */
-    constructor() {
+    constructor({ vad = {} } = {}) {
         super();
         // Core audio configuration
-        this.sampleRate = 16000;         // Sample rate in Hz   
+        this.sampleRate = 16000;         // Sample rate of the emitted chunks in Hz, the worklet resamples to it
         this.stream = null;              // MediaStream from getUserMedia
         this.audioContext = null;        // AudioContext for Web Audio API
         this.source = null;              // MediaStreamAudioSourceNode
@@ -20,6 +23,8 @@ export class AudioRecorder extends EventTarget {
         this.onAudioData = null;         // Callback for processed audio chunks
         this.isRecording = false;        // Recording state flag
         this.isSuspended = false;        // Mic suspension state
+        this.vad = vad;                  // Voice activity detection options
+        this.isSpeaking = false;         // Whether the user is speaking, as detected by the worklet
     }
 
     /**
@@ -31,10 +36,10 @@ export class AudioRecorder extends EventTarget {
         this.onAudioData = onAudioData;
         try {
             // Request microphone access with specific echo cancelation and noise reduction
+            // The device's native rate is kept, some browsers and headsets reject or ignore other rates
             this.stream = await navigator.mediaDevices.getUserMedia({ 
                 audio: {
                     channelCount: 1,
-                    sampleRate: this.sampleRate,
                     echoCancellation: true,
                     noiseSuppression: true,
                     autoGainControl: true
@@ -42,12 +47,14 @@ export class AudioRecorder extends EventTarget {
             });
             
             // Initialize Web Audio API context and nodes
-            this.audioContext = new AudioContext({ sampleRate: this.sampleRate });
+            this.audioContext = new AudioContext();
             this.source = this.audioContext.createMediaStreamSource(this.stream);
 
             // Load and initialize audio processing worklet
             await this.audioContext.audioWorklet.addModule('js/audio/worklets/audio-processor.js');
-            this.processor = new AudioWorkletNode(this.audioContext, 'audio-recorder-worklet');
+            this.processor = new AudioWorkletNode(this.audioContext, 'audio-recorder-worklet', {
+                processorOptions: { targetSampleRate: this.sampleRate, vad: this.vad }
+            });
             
             // Handle processed audio chunks from worklet
             this.processor.port.onmessage = (event) => {
@@ -56,6 +63,13 @@ export class AudioRecorder extends EventTarget {
                 if (event.data.event === 'chunk' && this.onAudioData) {
                     const base64Data = arrayBufferToBase64(event.data.data.int16arrayBuffer);
                     this.onAudioData(base64Data);
+                } else if (event.data.event === 'speech_start' || event.data.event === 'speech_end') {
+                    this.setSpeaking(event.data.event === 'speech_start');
+                } else if (event.data.event === 'format') {
+                    const { inputSampleRate, outputSampleRate } = event.data.data;
+                    console.info(`Capturing audio at ${inputSampleRate} Hz, sending it at ${outputSampleRate} Hz`);
+                } else if (event.data.event === 'error') {
+                    console.error('Audio processing error:', event.data.error.message);
                 }
             };
 
@@ -85,6 +99,7 @@ export class AudioRecorder extends EventTarget {
             }
 
             this.isRecording = false;
+            this.setSpeaking(false);
             console.info('Audio recording stopped');
 
             if (this.audioContext) {
@@ -95,6 +110,16 @@ export class AudioRecorder extends EventTarget {
         }
     }
 
+    /**
+     * Updates the speaking state and dispatches 'speechstart' or 'speechend' when it changed
+     * @param {boolean} isSpeaking - Whether the user is speaking
+     */
+    setSpeaking(isSpeaking) {
+        if (this.isSpeaking === isSpeaking) return;
+        this.isSpeaking = isSpeaking;
+        this.dispatchEvent(new Event(isSpeaking ? 'speechstart' : 'speechend'));
+    }
+
     /**
      * Suspends microphone input without destroying the audio context
      */
@@ -105,6 +130,9 @@ export class AudioRecorder extends EventTarget {
             await this.audioContext.suspend();
             this.stream.getTracks().forEach(track => track.enabled = false);
             this.isSuspended = true;
+            // Muting ends the speech, detection starts over when the mic is resumed
+            this.processor.port.postMessage({ event: 'reset' });
+            this.setSpeaking(false);
             console.info('Microphone suspended');
         } catch (error) {
             throw new Error('Failed to suspend microphone:' + error);
@@ -18,7 +18,7 @@ export class AudioStreamer {
         this.context = context;
         this.audioQueue = [];                           // Queue of audio chunks waiting to be played
         this.isPlaying = false;                         // Playback state
-        this._sampleRate = MODEL_SAMPLE_RATE;           // Use configured sample rate
+        this._sampleRate = MODEL_SAMPLE_RATE;           // Configured rate until a chunk states its own
         this.bufferSize = Math.floor(this._sampleRate * 0.32);  // Buffer size (320ms based on sample rate)
         this.processingBuffer = new Float32Array(0);    // Accumulator for incomplete chunks
         this.scheduledTime = 0;                         // Next scheduled audio playback time
@@ -29,6 +29,12 @@ export class AudioStreamer {
         this.isInitialized = false;                     // Initialization state
         this.endOfQueueAudioSource = null;              // Last audio source in queue
         this.scheduledSources = new Set();              // Track active audio sources
+
+        // Playback timeline, positions are seconds of audio received through streamAudio()
+        this.receivedDuration = 0;                      // Audio received so far
+        this.processedPosition = 0;                     // Position of the start of processingBuffer
+        this.timeline = [];                             // { position, time, duration } of scheduled buffers
+        this.discarded = [];                            // { from, to } ranges that were never played
         
         // Connect gain node to audio output
         this.gainNode.connect(this.context.destination);
@@ -60,11 +66,35 @@ export class AudioStreamer {
         console.info('Sample rate updated', { newRate: value, newBufferSize: this.bufferSize });
     }
 
+    /**
+     * Switches to the sample rate of incoming audio. Samples waiting in the processing buffer
+     * are resampled to the new rate, queued buffers keep the rate they were received at.
+     * @param {number} sampleRate - New sample rate in Hz
+     */
+    adoptSampleRate(sampleRate) {
+        const previousRate = this._sampleRate;
+        this.sampleRate = sampleRate;
+        if (this._sampleRate === previousRate || !this.processingBuffer.length) return;
+
+        // Linear interpolation, the pending samples are less than a buffer long
+        const ratio = previousRate / this._sampleRate;
+        const input = this.processingBuffer;
+        const output = new Float32Array(Math.round(input.length / ratio));
+        for (let i = 0; i < output.length; i++) {
+            const position = i * ratio;
+            const index = Math.min(Math.floor(position), input.length - 1);
+            const next = Math.min(index + 1, input.length - 1);
+            output[i] = input[index] + (input[next] - input[index]) * (position - index);
+        }
+        this.processingBuffer = output;
+    }
+
     /**
      * Processes incoming PCM16 audio chunks for playback
      * @param {Int16Array|Uint8Array} chunk - Raw PCM16 audio data
+     * @param {number} [sampleRate] - Sample rate of the chunk in Hz, defaults to the current rate
      */
-    streamAudio(chunk) {
+    streamAudio(chunk, sampleRate = this._sampleRate) {
         if (!this.isInitialized) {
             console.warn('AudioStreamer not initialized. Call initialize() first.');
             return;
@@ -76,6 +106,10 @@ export class AudioStreamer {
         }
 
         try {
+            if (sampleRate !== this._sampleRate) {
+                this.adoptSampleRate(sampleRate);
+            }
+
             // Convert Int16 samples to Float32 format
             const float32Array = new Float32Array(chunk.length / 2);
             const dataView = new DataView(chunk.buffer);
@@ -91,8 +125,12 @@ export class AudioStreamer {
                     bufferSize: this.processingBuffer.length,
                     maxSize: this.bufferSize * 4 
                 });
+                const droppedDuration = this.processingBuffer.length / this.sampleRate;
+                this.discarded.push({ from: this.processedPosition, to: this.processedPosition + droppedDuration });
+                this.processedPosition += droppedDuration;
                 this.processingBuffer = new Float32Array(0);
             }
+            this.receivedDuration += float32Array.length / this.sampleRate;
 
             // Accumulate samples in processing buffer
             const newBuffer = new Float32Array(this.processingBuffer.length + float32Array.length);
@@ -103,6 +141,9 @@ export class AudioStreamer {
             // Split processing buffer into playable chunks
             while (this.processingBuffer.length >= this.bufferSize) {
                 const buffer = this.processingBuffer.slice(0, this.bufferSize);
+                buffer.position = this.processedPosition;  // Where the buffer starts in the received audio
+                buffer.sampleRate = this.sampleRate;
+                this.processedPosition += this.bufferSize / this.sampleRate;
                 this.audioQueue.push(buffer);
                 this.processingBuffer = this.processingBuffer.slice(this.bufferSize);
             }
@@ -124,7 +165,8 @@ export class AudioStreamer {
      * @returns {AudioBuffer} Web Audio API buffer for playback
      */
     createAudioBuffer(audioData) {
-        const audioBuffer = this.context.createBuffer(1, audioData.length, this.sampleRate);
+        // The AudioContext resamples buffers whose rate differs from its own
+        const audioBuffer = this.context.createBuffer(1, audioData.length, audioData.sampleRate || this.sampleRate);
         audioBuffer.getChannelData(0).set(audioData);
         return audioBuffer;
     }
@@ -173,6 +215,7 @@ export class AudioStreamer {
                 const startTime = Math.max(this.scheduledTime, this.context.currentTime);
                 source.start(startTime);
                 this.scheduledTime = startTime + audioBuffer.duration;
+                this.addToTimeline(audioData.position, startTime, audioBuffer.duration);
             }
 
             // Handle buffer underrun or stream completion
@@ -201,6 +244,49 @@ export class AudioStreamer {
         }
     }
 
+    /**
+     * Records when a part of the received audio plays
+     * @param {number} position - Start of the buffer in seconds of received audio
+     * @param {number} time - AudioContext time the buffer starts at
+     * @param {number} duration - Buffer duration in seconds
+     */
+    addToTimeline(position, time, duration) {
+        this.timeline.push({ position, time, duration });
+
+        // A minute of history is plenty to align transcripts
+        while (this.timeline.length && this.timeline[0].time + this.timeline[0].duration < this.context.currentTime - 60) {
+            this.timeline.shift();
+        }
+        while (this.discarded.length > 100) {
+            this.discarded.shift();
+        }
+    }
+
+    /**
+     * Returns when the audio at a position of the received stream is played
+     * @param {number} position - Seconds of received audio, e.g. a word's timestamp
+     * @returns {number|null} AudioContext time, estimated for audio still waiting in the queue,
+     *     or null if the audio was discarded or is too old
+     */
+    getPlaybackTime(position) {
+        for (let i = this.timeline.length - 1; i >= 0; i--) {
+            const segment = this.timeline[i];
+            if (position >= segment.position && position < segment.position + segment.duration) {
+                return segment.time + (position - segment.position);
+            }
+            if (position >= segment.position + segment.duration) break;
+        }
+        if (this.discarded.some(({ from, to }) => position >= from && position < to)) {
+            return null;
+        }
+        const pendingPosition = this.audioQueue.length ? this.audioQueue[0].position : this.processedPosition;
+        if (position >= pendingPosition && position < this.receivedDuration) {
+            // Queued audio plays right after what is already scheduled
+            return Math.max(this.scheduledTime, this.context.currentTime) + (position - pendingPosition);
+        }
+        return null;
+    }
+
     /**
      * Stops audio playback and cleans up resources
      * Implements smooth fade-out and resets audio pipeline
@@ -209,6 +295,21 @@ export class AudioStreamer {
         console.info('Stopping audio playback');
         this.isPlaying = false;
         this.isStreamComplete = true;
+
+        // Scheduled buffers are cut off now and the queue is dropped, none of it will be heard
+        const now = this.context.currentTime;
+        this.timeline.forEach((segment) => {
+            const played = Math.max(0, now - segment.time);
+            if (played < segment.duration) {
+                this.discarded.push({ from: segment.position + played, to: segment.position + segment.duration });
+                segment.duration = played;
+            }
+        });
+        const pendingPosition = this.audioQueue.length ? this.audioQueue[0].position : this.processedPosition;
+        if (pendingPosition < this.receivedDuration) {
+            this.discarded.push({ from: pendingPosition, to: this.receivedDuration });
+        }
+        this.processedPosition = this.receivedDuration;
         
         // Stop all active audio sources
         for (const source of this.scheduledSources) {
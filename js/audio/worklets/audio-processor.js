@@ -1,19 +1,281 @@
+/**
+ * Resamples audio with a windowed-sinc low-pass filter, keeping the samples a filter needs
+ * across calls so a stream can be fed in blocks of any size.
+ * Filter coefficients are precomputed for a fixed number of fractional positions.
+ */
+class SincResampler {
+    /**
+     * @param {number} inputRate - Sample rate of the input in Hz
+     * @param {number} outputRate - Sample rate of the output in Hz
+     * @param {number} [zeroCrossings=16] - Half the filter length in output samples, more is sharper and slower
+     * @param {number} [phases=256] - Fractional positions the filter is precomputed for
+     */
+    constructor(inputRate, outputRate, zeroCrossings = 16, phases = 256) {
+        this.ratio = inputRate / outputRate;              // Input samples per output sample
+        this.phases = phases;
+
+        // Cut off a little below the lower Nyquist frequency to suppress aliasing when downsampling
+        const cutoff = 0.95 * Math.min(1, outputRate / inputRate);
+        this.halfWidth = Math.ceil(zeroCrossings / cutoff); // Taps on each side, in input samples
+        const taps = 2 * this.halfWidth;
+
+        // Row p holds the taps for an output between two input samples at fraction p / phases
+        this.filters = new Float32Array((phases + 1) * taps);
+        for (let p = 0; p <= phases; p++) {
+            const fraction = p / phases;
+            let sum = 0;
+            for (let j = 0; j < taps; j++) {
+                const x = j - this.halfWidth + 1 - fraction;  // Distance of the tap from the output position
+                const sinc = x === 0 ? 1 : Math.sin(Math.PI * cutoff * x) / (Math.PI * cutoff * x);
+                const window = 0.42 + 0.5 * Math.cos(Math.PI * x / this.halfWidth) + 0.08 * Math.cos(2 * Math.PI * x / this.halfWidth); // Blackman
+                const coefficient = Math.abs(x) < this.halfWidth ? sinc * window : 0;
+                this.filters[p * taps + j] = coefficient;
+                sum += coefficient;
+            }
+            // Unity gain for every position
+            for (let j = 0; j < taps; j++) {
+                this.filters[p * taps + j] /= sum;
+            }
+        }
+
+        // Input history, starting with silence so the first outputs have their left taps
+        this.input = new Float32Array(taps + 8192);
+        this.inputLength = this.halfWidth;
+        this.time = this.halfWidth;                       // Input position of the next output sample
+        this.output = new Float32Array(Math.ceil(8192 / this.ratio) + 1);
+    }
+
+    /**
+     * Resamples a block of input.
+     * @param {Float32Array} samples - Input samples
+     * @returns {Float32Array} Output samples that are complete, a view that is reused by the next call
+     */
+    process(samples) {
+        if (this.inputLength + samples.length > this.input.length) {
+            const grown = new Float32Array(2 * (this.inputLength + samples.length));
+            grown.set(this.input.subarray(0, this.inputLength));
+            this.input = grown;
+            this.output = new Float32Array(Math.ceil(grown.length / this.ratio) + 1);
+        }
+        this.input.set(samples, this.inputLength);
+        this.inputLength += samples.length;
+
+        const taps = 2 * this.halfWidth;
+        let count = 0;
+        // An output needs halfWidth input samples after its position
+        while (Math.floor(this.time) + this.halfWidth < this.inputLength) {
+            const index = Math.floor(this.time);
+            const phase = Math.round((this.time - index) * this.phases);
+            const filter = phase * taps;
+            const start = index - this.halfWidth + 1;
+
+            let value = 0;
+            for (let j = 0; j < taps; j++) {
+                value += this.input[start + j] * this.filters[filter + j];
+            }
+            this.output[count++] = value;
+            this.time += this.ratio;
+        }
+
+        // Drop input that no further output reaches
+        const consumed = Math.floor(this.time) - this.halfWidth + 1;
+        if (consumed > 0) {
+            this.input.copyWithin(0, consumed, this.inputLength);
+            this.inputLength -= consumed;
+            this.time -= consumed;
+        }
+        return this.output.subarray(0, count);
+    }
+}
+
+/**
+ * Detects speech in 16 ms frames from their energy and spectrum. A frame is speech when it is
+ * clearly louder than the tracked noise floor and most of its energy lies in the speech band,
+ * which keeps broadband noise such as fans and rumble from triggering it.
+ */
+class VoiceActivityDetector {
+    /**
+     * @param {number} sampleRate - Sample rate of the analyzed audio in Hz
+     * @param {Object} [options]
+     * @param {number} [options.thresholdDb=10] - How far above the noise floor speech is
+     * @param {number} [options.minEnergyDb=-55] - Quietest level in dBFS that counts as speech
+     * @param {number} [options.minSpeechMs=60] - Speech needed before speech starts, ignores clicks
+     * @param {number} [options.hangoverMs=600] - Silence needed before speech ends, bridges pauses between words
+     */
+    constructor(sampleRate, { thresholdDb = 10, minEnergyDb = -55, minSpeechMs = 60, hangoverMs = 600 } = {}) {
+        this.frameSize = 256;
+        const frameMs = 1000 * this.frameSize / sampleRate;
+        this.thresholdDb = thresholdDb;
+        this.minEnergyDb = minEnergyDb;
+        this.minSpeechFrames = Math.ceil(minSpeechMs / frameMs);
+        this.hangoverFrames = Math.ceil(hangoverMs / frameMs);
+
+        // Bins of the speech band, 80 Hz (low voices) to 3.5 kHz, voiced speech has most of its energy here, white noise about half
+        this.bandStart = Math.max(1, Math.round(80 * this.frameSize / sampleRate));
+        this.bandEnd = Math.min(this.frameSize / 2, Math.round(3500 * this.frameSize / sampleRate));
+
+        this.frame = new Float32Array(this.frameSize);
+        this.real = new Float32Array(this.frameSize);
+        this.imag = new Float32Array(this.frameSize);
+        this.window = new Float32Array(this.frameSize).map((_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / this.frameSize)); // Hann
+        this.reset();
+    }
+
+    reset() {
+        this.frameIndex = 0;
+        this.noiseFloorDb = -60;
+        this.speechFrames = 0;
+        this.silenceFrames = 0;
+        this.speaking = false;
+    }
+
+    /**
+     * Analyzes a block of samples.
+     * @param {Float32Array} samples - Audio at the detector's sample rate
+     * @returns {'start'|'end'|null} The change of the speaking state within the block
+     */
+    process(samples) {
+        let change = null;
+        for (let i = 0; i < samples.length; i++) {
+            this.frame[this.frameIndex++] = samples[i];
+            if (this.frameIndex === this.frameSize) {
+                this.frameIndex = 0;
+                const frameChange = this.processFrame();
+                // A start and an end within one block cancel out
+                change = frameChange && change && frameChange !== change ? null : frameChange || change;
+            }
+        }
+        return change;
+    }
+
+    processFrame() {
+        let sum = 0;
+        for (let i = 0; i < this.frameSize; i++) {
+            sum += this.frame[i] * this.frame[i];
+            this.real[i] = this.frame[i] * this.window[i];
+            this.imag[i] = 0;
+        }
+        const energyDb = 10 * Math.log10(sum / this.frameSize + 1e-12);
+
+        fft(this.real, this.imag);
+        let total = 0;
+        let band = 0;
+        for (let bin = 1; bin <= this.frameSize / 2; bin++) {
+            const power = this.real[bin] * this.real[bin] + this.imag[bin] * this.imag[bin];
+            total += power;
+            if (bin >= this.bandStart && bin <= this.bandEnd) {
+                band += power;
+            }
+        }
+        const isSpeech = energyDb > Math.max(this.noiseFloorDb + this.thresholdDb, this.minEnergyDb) && band > 0.75 * total;
+
+        // The floor follows quiet frames quickly and loud ones slowly, during speech only barely
+        const rate = isSpeech ? 0.001 : energyDb < this.noiseFloorDb ? 0.3 : 0.02;
+        this.noiseFloorDb += (energyDb - this.noiseFloorDb) * rate;
+
+        if (isSpeech) {
+            this.speechFrames++;
+            this.silenceFrames = 0;
+        } else {
+            this.silenceFrames++;
+            if (!this.speaking) this.speechFrames = 0;
+        }
+
+        if (!this.speaking && this.speechFrames >= this.minSpeechFrames) {
+            this.speaking = true;
+            return 'start';
+        }
+        if (this.speaking && this.silenceFrames >= this.hangoverFrames) {
+            this.speaking = false;
+            this.speechFrames = 0;
+            return 'end';
+        }
+        return null;
+    }
+}
+
+/**
+ * In-place radix-2 FFT.
+ * @param {Float32Array} real - Real parts, the length must be a power of two
+ * @param {Float32Array} imag - Imaginary parts
+ */
+function fft(real, imag) {
+    const n = real.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        if (i < j) {
+            [real[i], real[j]] = [real[j], real[i]];
+            [imag[i], imag[j]] = [imag[j], imag[i]];
+        }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < size / 2; k++) {
+                const cos = Math.cos(angle * k);
+                const sin = Math.sin(angle * k);
+                const a = start + k;
+                const b = a + size / 2;
+                const tr = real[b] * cos - imag[b] * sin;
+                const ti = real[b] * sin + imag[b] * cos;
+                real[b] = real[a] - tr;
+                imag[b] = imag[a] - ti;
+                real[a] += tr;
+                imag[a] += ti;
+            }
+        }
+    }
+}
+
 /**
  * AudioProcessingWorklet handles real-time audio processing in a dedicated thread.
- * It converts incoming Float32 audio samples to Int16 format for efficient network transmission
- * and processing by speech recognition systems.
+ * It resamples the microphone from the AudioContext's rate, which is the device's native rate,
+ * to the target rate and converts the Float32 samples to Int16 format for efficient network
+ * transmission and processing by speech recognition systems.
+ * A voice activity detector reports when the user starts and stops speaking, and can hold back
+ * silence so only speech is sent.
  */
 class AudioProcessingWorklet extends AudioWorkletProcessor {
     /**
      * Initializes the audio processing worklet with a fixed-size buffer
      * Buffer size of 2048 samples provides a good balance between latency and processing efficiency
+     * @param {Object} options - AudioWorkletNode options
+     * @param {Object} [options.processorOptions]
+     * @param {number} [options.processorOptions.targetSampleRate=16000] - Rate of the emitted chunks in Hz
+     * @param {Object} [options.processorOptions.vad] - VoiceActivityDetector options, plus:
+     * @param {boolean} [options.processorOptions.vad.dropSilence=false] - Emit chunks only while the user speaks
+     * @param {number} [options.processorOptions.vad.prerollMs=300] - Audio before the detected start that is still sent
      */
-    constructor() {
+    constructor(options) {
         super();
         // Pre-allocate buffer for Int16 samples to avoid garbage collection
         this.buffer = new Int16Array(2048);
         this.bufferWriteIndex = 0;
-        this.sampleRate = 16000;
+        this.targetSampleRate = options?.processorOptions?.targetSampleRate || 16000;
+
+        // sampleRate is the AudioContext's rate, provided by the worklet scope
+        this.resampler = sampleRate === this.targetSampleRate ? null : new SincResampler(sampleRate, this.targetSampleRate);
+        this.port.postMessage({ event: 'format', data: { inputSampleRate: sampleRate, outputSampleRate: this.targetSampleRate } });
+
+        const { dropSilence = false, prerollMs = 300, ...vadOptions } = options?.processorOptions?.vad || {};
+        this.vad = new VoiceActivityDetector(this.targetSampleRate, vadOptions);
+        this.dropSilence = dropSilence;
+        // Recent silence, sent ahead of the speech so its first syllable is not cut off
+        this.preroll = new Float32Array(Math.max(1, Math.ceil(prerollMs * this.targetSampleRate / 1000)));
+        this.prerollIndex = 0;
+        this.prerollLength = 0;
+
+        // The recorder resets the detector when the microphone is suspended
+        this.port.onmessage = ({ data }) => {
+            if (data.event === 'reset') {
+                this.vad.reset();
+                this.prerollLength = 0;
+            }
+        };
     }
 
     /**
@@ -25,11 +287,55 @@ class AudioProcessingWorklet extends AudioWorkletProcessor {
         // Process only if we have audio data (first channel of first input)
         if (inputs[0].length) {
             const channel0 = inputs[0][0];
-            this.processChunk(channel0);
+            const samples = this.resampler ? this.resampler.process(channel0) : channel0;
+            const change = this.vad.process(samples);
+
+            if (change === 'start') {
+                this.port.postMessage({ event: 'speech_start' });
+                this.flushPreroll();
+            }
+            if (this.dropSilence && !this.vad.speaking && change !== 'end') {
+                this.addToPreroll(samples);
+            } else {
+                this.processChunk(samples);
+            }
+            if (change === 'end') {
+                // The end of the speech goes out before the event
+                if (this.bufferWriteIndex) {
+                    this.sendAndClearBuffer();
+                }
+                this.port.postMessage({ event: 'speech_end' });
+            }
         }
         return true;
     }
 
+    /**
+     * Keeps the latest silent samples in a ring buffer instead of sending them
+     * @param {Float32Array} samples - Float32 samples at the target rate
+     */
+    addToPreroll(samples) {
+        for (let i = 0; i < samples.length; i++) {
+            this.preroll[this.prerollIndex] = samples[i];
+            this.prerollIndex = (this.prerollIndex + 1) % this.preroll.length;
+        }
+        this.prerollLength = Math.min(this.preroll.length, this.prerollLength + samples.length);
+    }
+
+    /**
+     * Sends the held back samples in their original order
+     */
+    flushPreroll() {
+        if (!this.prerollLength) return;
+        const start = (this.prerollIndex - this.prerollLength + this.preroll.length) % this.preroll.length;
+        const ordered = new Float32Array(this.prerollLength);
+        for (let i = 0; i < this.prerollLength; i++) {
+            ordered[i] = this.preroll[(start + i) % this.preroll.length];
+        }
+        this.prerollLength = 0;
+        this.processChunk(ordered);
+    }
+
     /**
      * Sends the accumulated audio buffer to the main thread and resets the write position
      * Uses SharedArrayBuffer for zero-copy transfer of audio data
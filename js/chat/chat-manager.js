@@ -3,7 +3,19 @@ export class ChatManager {
         this.chatContainer = document.getElementById('chatHistory');
         this.currentStreamingMessage = null;
         this.lastUserMessageType = null; // 'text' or 'audio'
-        this.currentTranscript = ''; // Add this to store accumulated transcript
+        this.currentTranscript = []; // Accumulated transcript: text and timed words ({ word, start, end })
+        this.currentTextElement = null; // Element receiving streamed text inside the model message
+        this.lastModelMessage = null; // Most recent model message, streaming or finalized
+        this.currentUserMessage = null; // User audio message receiving the transcript of their speech
+        this.currentUserTextElement = null; // Element of the user audio message the transcript is written to
+        this.currentSpeaker = null; // Speaker of the current user audio message, null without diarization
+        this.speakerNames = new Map(); // Labels of diarized speakers as edited by the user, keyed by speaker
+        this.currentUserTranscript = ''; // Final transcript of the user's current audio message
+        this.currentInterim = ''; // Provisional tail of the model's transcript
+        this.currentUserInterim = ''; // Provisional tail of the user's transcript
+        this.playbackClock = null; // Returns the current playback time, for highlighting timed words
+        this.highlightFrame = null;
+        this.pendingConfirmations = new Set(); // Settle functions of tool confirmations the user has not answered
     }
 
     addUserMessage(text) {
@@ -11,19 +23,270 @@ export class ChatManager {
         messageDiv.className = 'chat-message user-message';
         messageDiv.textContent = text;
         this.chatContainer.appendChild(messageDiv);
+        this.currentUserMessage = null;
         this.lastUserMessageType = 'text';
         this.scrollToBottom();
     }
 
-    addUserAudioMessage() {
+    /**
+     * Shows an error in the chat, it is not part of the exported transcript
+     * @param {string} text - Error message
+     */
+    addErrorMessage(text) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'chat-message error-message';
+        messageDiv.textContent = text;
+        this.chatContainer.appendChild(messageDiv);
+        this.scrollToBottom();
+    }
+
+    /**
+     * Adds a message for the user's speech, labelled with the speaker when the transcript is diarized
+     * @param {number|string|null} [speaker=null] - Speaker as reported by the transcriber
+     */
+    addUserAudioMessage(speaker = null) {
         const messageDiv = document.createElement('div');
         messageDiv.className = 'chat-message user-message';
-        messageDiv.textContent = 'User sent audio';
+        let textElement = messageDiv;
+        if (speaker !== null) {
+            messageDiv.classList.add('speaker-message', `speaker-color-${this.getSpeakerIndex(speaker) % 4}`);
+            messageDiv.appendChild(this.createSpeakerLabel(speaker));
+            textElement = document.createElement('span');
+            textElement.className = 'message-text';
+            messageDiv.appendChild(textElement);
+        }
+        textElement.textContent = 'User sent audio';
         this.chatContainer.appendChild(messageDiv);
+        this.currentUserMessage = messageDiv;
+        this.currentUserTextElement = textElement;
+        this.currentSpeaker = speaker;
+        this.currentUserTranscript = '';
+        this.currentUserInterim = '';
         this.lastUserMessageType = 'audio';
         this.scrollToBottom();
     }
 
+    /**
+     * Writes the transcript of the user's speech into their audio message,
+     * starting a new one when the user speaks after the model's message.
+     * Words attributed to speakers are split into one message per speaker.
+     * @param {string} text - Transcript fragment
+     * @param {string} [separator=''] - Inserted before the fragment, e.g. ' ' for providers that send whole segments
+     * @param {Array<Object>} [words] - The fragment's words, diarizing transcribers set their speaker
+     */
+    updateUserTranscript(text, separator = '', words = []) {
+        const hasSpeakers = words?.some((word) => word.speaker !== undefined && word.speaker !== null);
+        if (!hasSpeakers) {
+            this.getUserTranscriptMessage();
+            this.appendUserTranscript(text, separator);
+            return;
+        }
+
+        // Consecutive words of the same speaker form one run
+        const runs = [];
+        words.forEach((word) => {
+            const run = runs[runs.length - 1];
+            if (run && run.speaker === word.speaker) {
+                run.words.push(word.word);
+            } else {
+                runs.push({ speaker: word.speaker, words: [word.word] });
+            }
+        });
+        runs.forEach(({ speaker, words: runWords }) => {
+            if (this.lastUserMessageType !== 'audio' || !this.currentUserMessage || this.currentSpeaker !== speaker) {
+                this.startSpeakerMessage(speaker);
+            }
+            this.appendUserTranscript(runWords.join(' '), separator);
+        });
+    }
+
+    appendUserTranscript(text, separator) {
+        this.currentUserTranscript = (this.currentUserTranscript + separator + text).trimStart();
+        this.currentUserInterim = ''; // The final segment replaces the provisional one
+        this.renderTranscript(this.currentUserTextElement, this.currentUserTranscript, this.currentUserInterim);
+    }
+
+    /**
+     * Starts the message of another speaker. It follows the current user message, which may sit
+     * before the model's answer when the transcript arrives late; an empty placeholder is replaced.
+     * @param {number|string} speaker - Speaker as reported by the transcriber
+     */
+    startSpeakerMessage(speaker) {
+        const previous = this.lastUserMessageType === 'audio' ? this.currentUserMessage : null;
+        const isPlaceholder = previous && this.currentSpeaker === null && !this.currentUserTranscript;
+        if (!previous) {
+            this.finalizeStreamingMessage();
+        }
+        this.addUserAudioMessage(speaker);
+        if (previous) {
+            previous.after(this.currentUserMessage);
+            if (isPlaceholder) {
+                previous.remove();
+            }
+        }
+    }
+
+    /**
+     * Returns the position of a speaker in the order speakers were first heard
+     * @param {number|string} speaker - Speaker as reported by the transcriber
+     * @returns {number}
+     */
+    getSpeakerIndex(speaker) {
+        const key = String(speaker);
+        if (!this.speakerNames.has(key)) {
+            this.speakerNames.set(key, typeof speaker === 'number' ? `Speaker ${speaker + 1}` : key);
+        }
+        return Array.from(this.speakerNames.keys()).indexOf(key);
+    }
+
+    /**
+     * Creates the label of a speaker's message, editing it renames the speaker in all messages
+     * @param {number|string} speaker - Speaker as reported by the transcriber
+     * @returns {HTMLElement}
+     */
+    createSpeakerLabel(speaker) {
+        const key = String(speaker);
+        const label = document.createElement('span');
+        label.className = 'speaker-label';
+        label.dataset.speaker = key;
+        label.contentEditable = 'true';
+        label.spellcheck = false;
+        label.title = 'Click to rename';
+        label.textContent = this.speakerNames.get(key);
+
+        label.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                label.blur();
+            }
+        });
+        label.addEventListener('blur', () => {
+            const name = label.textContent.trim() || this.speakerNames.get(key);
+            this.speakerNames.set(key, name);
+            this.chatContainer.querySelectorAll('.speaker-label').forEach((element) => {
+                if (element.dataset.speaker === key) {
+                    element.textContent = name;
+                }
+            });
+        });
+        return label;
+    }
+
+    /**
+     * Shows a provisional transcript of what the user is saying, replaced by the next
+     * interim result or by the final segment
+     * @param {string} text - Provisional transcript of the current segment
+     */
+    updateUserInterim(text) {
+        this.getUserTranscriptMessage();
+        this.currentUserInterim = text;
+        this.renderTranscript(this.currentUserTextElement, this.currentUserTranscript, this.currentUserInterim);
+    }
+
+    /**
+     * Returns the user audio message that transcripts are written to, starting a new one
+     * when the user speaks after the model's message
+     */
+    getUserTranscriptMessage() {
+        if (this.lastUserMessageType !== 'audio' || !this.currentUserMessage) {
+            this.finalizeStreamingMessage();
+            this.addUserAudioMessage();
+        }
+        return this.currentUserMessage;
+    }
+
+    /**
+     * Writes a final transcript followed by its provisional tail into an element
+     * @param {HTMLElement} element - Element receiving the transcript
+     * @param {string|Array<string|Object>} transcript - Final text, or text and timed words
+     * @param {string} interim - Provisional text, rendered dimmed after the final text
+     */
+    renderTranscript(element, transcript, interim) {
+        element.textContent = '';
+        [].concat(transcript).forEach((part) => {
+            if (typeof part === 'string') {
+                element.append(part);
+                return;
+            }
+            // Timed words can be highlighted while they are played
+            const wordElement = document.createElement('span');
+            wordElement.className = 'message-word';
+            wordElement.textContent = part.word;
+            wordElement.dataset.start = part.start;
+            wordElement.dataset.end = part.end;
+            element.appendChild(wordElement);
+        });
+        if (interim) {
+            const interimElement = document.createElement('span');
+            interimElement.className = 'message-interim';
+            interimElement.textContent = (element.textContent ? ' ' : '') + interim;
+            element.appendChild(interimElement);
+        }
+        this.scrollToBottom();
+    }
+
+    /**
+     * Sets the clock timed words are highlighted against, e.g. the AudioContext's currentTime
+     * @param {Function} clock - Returns the current playback time in seconds
+     */
+    setPlaybackClock(clock) {
+        this.playbackClock = clock;
+    }
+
+    /**
+     * Highlights the word of the latest model message that is being played,
+     * running until its last timed word has been played
+     */
+    highlightCurrentWord() {
+        if (this.highlightFrame || !this.playbackClock) return;
+
+        const update = () => {
+            const message = this.lastModelMessage;
+            const words = message ? Array.from(message.querySelectorAll('.message-word')) : [];
+            const time = this.playbackClock();
+
+            words.forEach((word) => {
+                const isCurrent = time >= parseFloat(word.dataset.start) && time < parseFloat(word.dataset.end);
+                word.classList.toggle('current', isCurrent);
+            });
+
+            const lastEnd = words.length ? parseFloat(words[words.length - 1].dataset.end) : 0;
+            this.highlightFrame = time < lastEnd ? requestAnimationFrame(update) : null;
+        };
+        this.highlightFrame = requestAnimationFrame(update);
+    }
+
+    /**
+     * Removes the words of the latest model message that were not played before
+     * the model was interrupted, so the transcript ends where the user stopped hearing it
+     * @param {number} playbackTime - Playback time of the interruption
+     */
+    cutTranscriptAt(playbackTime) {
+        const message = this.lastModelMessage;
+        if (!message) return;
+
+        let isCut = false;
+        message.querySelectorAll('.message-word').forEach((word) => {
+            if (parseFloat(word.dataset.start) < playbackTime) return;
+            // Remove the space in front of the word as well
+            if (word.previousSibling?.nodeType === Node.TEXT_NODE) {
+                word.previousSibling.remove();
+            }
+            word.remove();
+            isCut = true;
+        });
+        message.querySelectorAll('.message-interim, .message-word.current').forEach((element) => {
+            element.classList.contains('message-interim') ? element.remove() : element.classList.remove('current');
+        });
+
+        if (isCut) {
+            message.classList.add('interrupted');
+            if (message === this.currentStreamingMessage) {
+                this.currentTranscript = this.currentTranscript.filter((part) => typeof part === 'string' || part.start < playbackTime);
+            }
+        }
+    }
+
     startModelMessage() {
         // If there's already a streaming message, finalize it first
         if (this.currentStreamingMessage) {
@@ -39,36 +302,305 @@ export class ChatManager {
         messageDiv.className = 'chat-message model-message streaming';
         this.chatContainer.appendChild(messageDiv);
         this.currentStreamingMessage = messageDiv;
-        this.currentTranscript = ''; // Reset transcript when starting new message
+        this.lastModelMessage = messageDiv;
+        this.currentTranscript = []; // Reset transcript when starting new message
+        this.currentTextElement = null;
         this.scrollToBottom();
     }
 
-    updateStreamingMessage(text) {
+    /**
+     * Returns the element that streamed text is written to, creating a new one
+     * after any code blocks or images that were added in between
+     */
+    getTextElement() {
+        if (!this.currentTextElement) {
+            this.currentTextElement = document.createElement('span');
+            this.currentTextElement.className = 'message-text';
+            this.currentStreamingMessage.appendChild(this.currentTextElement);
+            this.currentTranscript = [];
+            this.currentInterim = '';
+        }
+        return this.currentTextElement;
+    }
+
+    /**
+     * Appends a transcript fragment to the streaming model message
+     * @param {string} text - Transcript fragment
+     * @param {string} [separator=' '] - Inserted before the fragment, native transcripts bring their own spacing
+     * @param {Array<Object>} [words] - The fragment's words with their playback times, for highlighting
+     */
+    updateStreamingMessage(text, separator = ' ', words = []) {
+        if (!this.currentStreamingMessage) {
+            this.startModelMessage();
+        }
+        const textElement = this.getTextElement();
+        // Append new text to the transcript
+        if (words.length) {
+            words.forEach((word, index) => this.currentTranscript.push(index === 0 ? separator : ' ', word));
+            this.highlightCurrentWord();
+        } else {
+            this.currentTranscript.push(separator + text);
+        }
+        this.currentInterim = ''; // The final segment replaces the provisional one
+        this.renderTranscript(textElement, this.currentTranscript, this.currentInterim);
+    }
+
+    /**
+     * Shows a provisional transcript of the model's current segment after the final text,
+     * so the chat keeps pace with the voice until the final segment arrives
+     * @param {string} text - Provisional transcript of the current segment
+     */
+    updateStreamingInterim(text) {
+        if (!this.currentStreamingMessage) {
+            this.startModelMessage();
+        }
+        this.currentInterim = text;
+        this.renderTranscript(this.getTextElement(), this.currentTranscript, this.currentInterim);
+    }
+
+    /**
+     * Renders the non-audio parts of a model turn into the current model message
+     * @param {Array<Object>} parts - Content parts (text, executableCode, codeExecutionResult, inlineData)
+     */
+    addModelContent(parts) {
         if (!this.currentStreamingMessage) {
             this.startModelMessage();
         }
-        this.currentTranscript += ' ' + text; // Append new text to the transcript
-        this.currentStreamingMessage.textContent = this.currentTranscript;
+
+        parts.forEach((part) => {
+            if (part.text !== undefined) {
+                // Text arrives in chunks that already contain their own whitespace
+                const textElement = this.getTextElement();
+                this.currentTranscript.push(part.text);
+                this.renderTranscript(textElement, this.currentTranscript, this.currentInterim);
+                return;
+            }
+
+            let element;
+            if (part.executableCode) {
+                element = this.createCodeElement(part.executableCode.code, part.executableCode.language, 'message-code');
+            } else if (part.codeExecutionResult) {
+                const { outcome, output } = part.codeExecutionResult;
+                element = this.createCodeElement(output || '', outcome, 'message-code-result');
+                if (outcome && outcome !== 'OUTCOME_OK') {
+                    element.classList.add('failed');
+                }
+            } else if (part.inlineData && part.inlineData.mimeType.startsWith('image/')) {
+                element = document.createElement('img');
+                element.className = 'message-image';
+                element.src = `data:${part.inlineData.mimeType};base64,${part.inlineData.data}`;
+            } else {
+                console.warn('Unsupported content part received', part);
+                element = this.createCodeElement(JSON.stringify(part, null, 2), 'unsupported', 'message-code');
+            }
+
+            this.currentStreamingMessage.appendChild(element);
+            this.currentTextElement = null; // Following text goes below this element
+        });
+
+        this.scrollToBottom();
+    }
+
+    /**
+     * Appends the search queries and web sources used to ground the model's answer
+     * @param {Object} groundingMetadata - Grounding metadata from the server content
+     */
+    addGroundingMetadata(groundingMetadata) {
+        const target = this.currentStreamingMessage || this.lastModelMessage;
+        if (!target) return;
+
+        const { webSearchQueries = [], groundingChunks = [] } = groundingMetadata;
+        const sources = groundingChunks.filter((chunk) => chunk.web?.uri);
+        if (!webSearchQueries.length && !sources.length) return;
+
+        const container = document.createElement('div');
+        container.className = 'message-sources';
+
+        if (webSearchQueries.length) {
+            const queries = document.createElement('div');
+            queries.className = 'search-queries';
+            queries.textContent = 'Searched: ' + webSearchQueries.join(', ');
+            container.appendChild(queries);
+        }
+
+        if (sources.length) {
+            const list = document.createElement('ol');
+            sources.forEach(({ web }) => {
+                const item = document.createElement('li');
+                const link = document.createElement('a');
+                link.href = web.uri;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                link.textContent = web.title || web.uri;
+                item.appendChild(link);
+                list.appendChild(item);
+            });
+            container.appendChild(list);
+        }
+
+        target.appendChild(container);
+        if (target === this.currentStreamingMessage) {
+            this.currentTextElement = null; // Following text goes below the sources
+        }
         this.scrollToBottom();
     }
 
+    /**
+     * Shows an approve/deny card for a tool call that requires the user's confirmation
+     * @param {Object} request - Confirmation request from the ToolManager
+     * @param {string} request.name - Name of the tool
+     * @param {Object} request.args - Arguments the model wants to call the tool with
+     * @param {AbortSignal} request.signal - Aborted when the prompt expires or the call is cancelled
+     * @returns {Promise<string>} Resolves to 'allow', 'always' or 'deny'
+     */
+    requestToolConfirmation({ name, args, signal }) {
+        return new Promise((resolve) => {
+            const card = document.createElement('div');
+            card.className = 'chat-message tool-confirmation';
+
+            const title = document.createElement('div');
+            title.className = 'tool-confirmation-title';
+            title.textContent = `Gemini wants to run "${name}"`;
+            card.appendChild(title);
+
+            card.appendChild(this.createCodeElement(JSON.stringify(args ?? {}, null, 2), 'arguments', 'message-code'));
+
+            const actions = document.createElement('div');
+            actions.className = 'tool-confirmation-actions';
+            card.appendChild(actions);
+
+            const status = document.createElement('div');
+            status.className = 'tool-confirmation-status';
+
+            let settled = false;
+            const settle = (decision, label) => {
+                if (settled) return;
+                settled = true;
+                this.pendingConfirmations.delete(settle);
+                actions.remove();
+                status.textContent = label;
+                card.appendChild(status);
+                card.classList.add(decision === 'deny' ? 'denied' : 'approved');
+                resolve(decision);
+            };
+
+            [
+                ['Allow', 'allow', 'Allowed'],
+                ['Always allow this session', 'always', 'Allowed for this session'],
+                ['Deny', 'deny', 'Denied']
+            ].forEach(([text, decision, label]) => {
+                const button = document.createElement('button');
+                button.textContent = text;
+                button.className = `tool-confirmation-btn ${decision}`;
+                button.addEventListener('click', () => settle(decision, label));
+                actions.appendChild(button);
+            });
+
+            // Withdraw the prompt when it timed out or the model no longer needs the call
+            signal?.addEventListener('abort', () => settle('deny', 'Expired'), { once: true });
+            this.pendingConfirmations.add(settle);
+
+            this.chatContainer.appendChild(card);
+            this.scrollToBottom();
+        });
+    }
+
+    /**
+     * Creates a labelled preformatted block for code or tool output
+     * @param {string} code - Content of the block
+     * @param {string} label - Language or outcome shown above the block
+     * @param {string} className - CSS class of the block
+     * @returns {HTMLElement}
+     */
+    createCodeElement(code, label, className) {
+        const container = document.createElement('div');
+        container.className = className;
+
+        if (label) {
+            const labelElement = document.createElement('div');
+            labelElement.className = 'code-label';
+            labelElement.textContent = label.toLowerCase();
+            container.appendChild(labelElement);
+        }
+
+        const pre = document.createElement('pre');
+        pre.textContent = code;
+        container.appendChild(pre);
+        return container;
+    }
+
     finalizeStreamingMessage() {
         if (this.currentStreamingMessage) {
+            // A provisional tail that never became final was not confirmed by the transcriber
+            this.currentStreamingMessage.querySelectorAll('.message-interim').forEach((element) => element.remove());
+            this.currentInterim = '';
             this.currentStreamingMessage.classList.remove('streaming');
             this.currentStreamingMessage = null;
             this.lastUserMessageType = null;
-            this.currentTranscript = ''; // Reset transcript when finalizing
+            this.currentTranscript = []; // Reset transcript when finalizing
+            this.currentTextElement = null;
         }
     }
 
+    /**
+     * Returns the conversation as plain text, one paragraph per message
+     * prefixed with the speaker, using the speaker labels as edited by the user
+     * @returns {string}
+     */
+    getTranscriptText() {
+        // Provisional text was never confirmed by the transcriber
+        const textOf = (element) => {
+            const copy = element.cloneNode(true);
+            copy.querySelectorAll('.message-interim, .speaker-label').forEach((interim) => interim.remove());
+            return copy.textContent.trim();
+        };
+
+        return Array.from(this.chatContainer.querySelectorAll('.user-message, .model-message')).map((message) => {
+            if (message.classList.contains('model-message')) {
+                const text = Array.from(message.querySelectorAll('.message-text'), textOf).filter(Boolean).join('\n');
+                return text && `Gemini: ${text}`;
+            }
+            const text = textOf(message);
+            if (!text || text === 'User sent audio') return null;
+            const label = message.querySelector('.speaker-label');
+            return `${label ? label.textContent.trim() : 'You'}: ${text}`;
+        }).filter(Boolean).join('\n\n');
+    }
+
+    /**
+     * Downloads the conversation transcript as a text file
+     * @param {string} [fileName] - Name of the exported file
+     */
+    exportTranscript(fileName = `gemini-transcript-${new Date().toISOString().replace(/[:.]/g, '-')}.txt`) {
+        const url = URL.createObjectURL(new Blob([this.getTranscriptText()], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
     scrollToBottom() {
         this.chatContainer.scrollTop = this.chatContainer.scrollHeight;
     }
 
     clear() {
+        // Prompts removed with the chat count as declined instead of waiting for their timeout
+        this.pendingConfirmations.forEach((settle) => settle('deny', 'Denied'));
+        cancelAnimationFrame(this.highlightFrame);
+        this.highlightFrame = null;
         this.chatContainer.innerHTML = '';
         this.currentStreamingMessage = null;
         this.lastUserMessageType = null;
-        this.currentTranscript = '';
+        this.currentTranscript = [];
+        this.currentTextElement = null;
+        this.lastModelMessage = null;
+        this.currentUserMessage = null;
+        this.currentUserTextElement = null;
+        this.currentSpeaker = null;
+        this.speakerNames.clear();
+        this.currentUserTranscript = '';
+        this.currentInterim = '';
+        this.currentUserInterim = '';
     }
 } 
\ No newline at end of file
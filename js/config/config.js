@@ -1,14 +1,152 @@
+import { DEFAULT_MODEL, getModelInfo, supportsModalities } from './models.js';
+
+export const getModel = () => {
+    return localStorage.getItem('model') || DEFAULT_MODEL;
+};
+
+// API version of the endpoint, falls back to the first version the model is available on
+export const getApiVersion = () => {
+    const { apiVersions } = getModelInfo(getModel());
+    const apiVersion = localStorage.getItem('apiVersion');
+    return apiVersions.includes(apiVersion) ? apiVersion : apiVersions[0];
+};
+
+const GEMINI_HOST = 'generativelanguage.googleapis.com';
+
 export const getWebsocketUrl = () => {
     const apiKey = localStorage.getItem('apiKey');
-    return `wss://generativelanguage.googleapis.com/ws/google.ai.generativelanguage.v1alpha.GenerativeService.BidiGenerateContent?key=${apiKey}`;
+
+    // Custom endpoint such as the local mock server, from ?ws=... or the settings
+    const linkedUrl = new URLSearchParams(window.location.search).get('ws');
+    const customUrl = linkedUrl || localStorage.getItem('customWebsocketUrl');
+    if (customUrl) {
+        const url = new URL(customUrl);
+        // The key only goes to Gemini itself, or to a URL the user saved and explicitly trusted with it.
+        // A link with ?ws= must never be able to send the key elsewhere, and the proxy has its own key
+        const trustsUrl = url.hostname === GEMINI_HOST ||
+            (!linkedUrl && localStorage.getItem('sendApiKeyToCustomUrl') === 'true');
+        if (apiKey && trustsUrl && getConnectionMode() === 'direct' && !url.searchParams.has('key')) {
+            url.searchParams.set('key', apiKey);
+        }
+        return url.toString();
+    }
+
+    // Backend proxy (server/proxy-server.mjs) holds the API key, so it is never sent from the browser
+    if (getConnectionMode() === 'proxy') {
+        const defaultProxyUrl = `${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}/ws`;
+        const url = new URL(localStorage.getItem('proxyUrl') || defaultProxyUrl);
+        const token = localStorage.getItem('proxyToken');
+        if (token) {
+            url.searchParams.set('token', token);
+        }
+        return url.toString();
+    }
+
+    return `wss://${GEMINI_HOST}/ws/google.ai.generativelanguage.${getApiVersion()}.GenerativeService.BidiGenerateContent?key=${apiKey}`;
+};
+
+// 'direct' connects to Gemini with the user's API key, 'proxy' goes through the backend proxy
+export const getConnectionMode = () => {
+    return localStorage.getItem('connectionMode') || 'direct';
+};
+
+// Protocol session recording and replay for debugging
+export const isSessionRecordingEnabled = () => {
+    return new URLSearchParams(window.location.search).has('record') || localStorage.getItem('recordSession') === 'true';
+};
+
+export const getReplayUrls = () => {
+    const params = new URLSearchParams(window.location.search);
+    return { session: params.get('replay'), media: params.get('replayMedia') };
 };
 
 export const getDeepgramApiKey = () => {
     return localStorage.getItem('deepgramApiKey') || '';
 };
 
-// Audio Configurations
-export const MODEL_SAMPLE_RATE = parseInt(localStorage.getItem('sampleRate')) || 27000;
+// Where transcripts come from: 'native' (the Live API itself), 'deepgram', 'webspeech' (the browser, for the user's speech),
+// 'local' (a Whisper model running on the device) or 'off'
+export const getTranscriptionSource = () => {
+    const source = localStorage.getItem('transcriptionSource') || 'native';
+    if (source === 'deepgram' && !getDeepgramApiKey()) {
+        console.warn('Deepgram transcription selected without an API key, using native transcription');
+        return 'native';
+    }
+    if (source === 'webspeech' && !(window.SpeechRecognition || window.webkitSpeechRecognition)) {
+        console.warn('Speech recognition is not supported in this browser, using native transcription');
+        return 'native';
+    }
+    if (source === 'local' && !(window.Worker && window.WebAssembly)) {
+        console.warn('On-device transcription needs Web Workers and WebAssembly, using native transcription');
+        return 'native';
+    }
+    return source;
+};
+
+/**
+ * Transcriber options for one side of the conversation, as set in the settings
+ * @param {'user'|'model'} side - Whose speech is transcribed
+ * @returns {{language: string, model: string, punctuate: boolean, smartFormat: boolean, keywords: Array<string>, diarize: boolean}}
+ */
+export const getTranscriptionOptions = (side) => ({
+    language: localStorage.getItem(`${side}TranscriptionLanguage`) || 'en-US',
+    model: localStorage.getItem(`${side}TranscriptionModel`) || 'nova-2',
+    punctuate: localStorage.getItem(`${side}Punctuate`) !== 'false',
+    smartFormat: localStorage.getItem(`${side}SmartFormat`) === 'true',
+    keywords: (localStorage.getItem(`${side}Keywords`) || '').split(',').map((keyword) => keyword.trim()).filter(Boolean),
+    diarize: localStorage.getItem(`${side}Diarize`) === 'true'
+});
+
+// Whisper model of on-device transcription, modelHost and libraryUrl point to self-hosted model files and Transformers.js
+export const getLocalWhisperOptions = () => ({
+    model: localStorage.getItem('localWhisperModel') || 'onnx-community/whisper-tiny.en',
+    modelHost: localStorage.getItem('localWhisperHost') || '',
+    libraryUrl: localStorage.getItem('localWhisperLibrary') || ''
+});
+
+// Ask the Live API to transcribe the sides no other provider transcribes
+const getTranscriptionConfig = () => {
+    const source = getTranscriptionSource();
+    return {
+        ...(source === 'native' && { inputAudioTranscription: {} }),
+        ...((source === 'native' || source === 'webspeech') && { outputAudioTranscription: {} })
+    };
+};
+
+// Voice activity detection: 'server' leaves it to the Live API, 'client' detects speech in the browser
+// and marks the user's turns itself, which also allows not sending silence at all
+export const getVoiceActivityOptions = () => {
+    const clientDetection = localStorage.getItem('vadMode') === 'client';
+    return {
+        clientDetection,
+        dropSilence: clientDetection && localStorage.getItem('dropSilence') === 'true'
+    };
+};
+
+// Built-in tools that run on Gemini's side, only those the model supports
+export const getBuiltInTools = () => {
+    const { tools } = getModelInfo(getModel());
+    return {
+        googleSearch: tools.includes('googleSearch') && localStorage.getItem('googleSearch') !== 'false',
+        codeExecution: tools.includes('codeExecution') && localStorage.getItem('codeExecution') === 'true'
+    };
+};
+
+// Settings the model does not support fall back to its defaults
+const getResponseModalities = () => {
+    const modalities = localStorage.getItem('responseModalities') || 'AUDIO';
+    const modelInfo = getModelInfo(getModel());
+    return (supportsModalities(modelInfo, modalities) ? modalities : modelInfo.responseModalities[0]).split(',');
+};
+
+const getVoiceName = () => {
+    const voiceName = localStorage.getItem('voiceName') || 'Aoede';
+    const { voices } = getModelInfo(getModel());
+    return voices.includes(voiceName) ? voiceName : voices[0];
+};
+
+// Audio Configurations, the model's audio states its rate in the mime type; this is the fallback when it does not
+export const MODEL_SAMPLE_RATE = parseInt(localStorage.getItem('sampleRate')) || 24000;
 
 const thresholds = {
     0: "BLOCK_NONE",
@@ -18,16 +156,16 @@ const thresholds = {
 }
 
 export const getConfig = () => ({
-    model: 'models/gemini-2.0-flash-exp',
+    model: getModel(),
     generationConfig: {
         temperature: parseFloat(localStorage.getItem('temperature')) || 1.8,
         top_p: parseFloat(localStorage.getItem('top_p')) || 0.95,
         top_k: parseInt(localStorage.getItem('top_k')) || 65,
-        responseModalities: "audio",
+        responseModalities: getResponseModalities(),
         speechConfig: {
             voiceConfig: { 
                 prebuiltVoiceConfig: { 
-                    voiceName: localStorage.getItem('voiceName') || 'Aoede'
+                    voiceName: getVoiceName()
                 }
             }
         }
@@ -37,9 +175,11 @@ export const getConfig = () => ({
             text: localStorage.getItem('systemInstructions') || "You are a helpful assistant"
         }]
     },
-    tools: {
-        functionDeclarations: [],
-    },
+    tools: [],
+    ...getTranscriptionConfig(),
+    ...(getVoiceActivityOptions().clientDetection && {
+        realtimeInputConfig: { automaticActivityDetection: { disabled: true } }
+    }),
     safetySettings: [
         {
             "category": "HARM_CATEGORY_HARASSMENT",
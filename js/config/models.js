@@ -0,0 +1,65 @@
+// Live API models and what each of them supports, the settings only offer options the selected model can use
+const VOICES = ['Puck', 'Charon', 'Kore', 'Fenrir', 'Aoede'];
+const EXTENDED_VOICES = [...VOICES, 'Leda', 'Orus', 'Zephyr'];
+
+export const DEFAULT_MODEL = 'models/gemini-2.0-flash-exp';
+
+export const API_VERSIONS = ['v1alpha', 'v1beta'];
+
+export const MODELS = {
+    'models/gemini-2.0-flash-exp': {
+        label: 'Gemini 2.0 Flash (experimental)',
+        apiVersions: ['v1alpha', 'v1beta'],
+        responseModalities: ['AUDIO', 'TEXT'],
+        voices: VOICES,
+        tools: ['functionDeclarations', 'googleSearch', 'codeExecution'],
+        maxSessionMinutes: 15,
+        maxVideoSessionMinutes: 2
+    },
+    'models/gemini-2.0-flash-live-001': {
+        label: 'Gemini 2.0 Flash Live',
+        apiVersions: ['v1beta', 'v1alpha'],
+        responseModalities: ['AUDIO', 'TEXT'],
+        voices: VOICES,
+        tools: ['functionDeclarations', 'googleSearch', 'codeExecution'],
+        maxSessionMinutes: 15,
+        maxVideoSessionMinutes: 2
+    },
+    'models/gemini-live-2.5-flash-preview': {
+        label: 'Gemini 2.5 Flash Live (preview)',
+        apiVersions: ['v1beta', 'v1alpha'],
+        responseModalities: ['AUDIO', 'TEXT'],
+        voices: EXTENDED_VOICES,
+        tools: ['functionDeclarations', 'googleSearch', 'codeExecution'],
+        maxSessionMinutes: 15,
+        maxVideoSessionMinutes: 2
+    },
+    'models/gemini-2.5-flash-preview-native-audio-dialog': {
+        label: 'Gemini 2.5 Flash Native Audio (preview)',
+        apiVersions: ['v1beta', 'v1alpha'],
+        responseModalities: ['AUDIO'],
+        voices: EXTENDED_VOICES,
+        tools: ['functionDeclarations', 'googleSearch'],
+        maxSessionMinutes: 15,
+        maxVideoSessionMinutes: 2
+    }
+};
+
+/**
+ * Returns the capabilities of a model, unknown models are treated like the default one.
+ * @param {string} model - Model name, e.g. 'models/gemini-2.0-flash-exp'
+ * @returns {Object} Model metadata
+ */
+export const getModelInfo = (model) => MODELS[model] || MODELS[DEFAULT_MODEL];
+
+/**
+ * Whether a model can respond with the given modalities.
+ * responseModalities lists the alternatives, the Live API accepts only one modality per session.
+ * @param {Object} modelInfo - Model metadata from getModelInfo()
+ * @param {string} modalities - Comma separated modalities, e.g. 'AUDIO'
+ * @returns {boolean}
+ */
+export const supportsModalities = (modelInfo, modalities) => {
+    const requested = modalities.split(',');
+    return requested.length === 1 && modelInfo.responseModalities.includes(requested[0]);
+};
\ No newline at end of file
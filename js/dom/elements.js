@@ -16,6 +16,9 @@ const elements = {
     messageInput: document.getElementById('messageInput'),
     sendBtn: document.getElementById('sendBtn'),
 
+    // Shown while a transcriber is reconnecting or has failed
+    transcriptionStatus: document.getElementById('transcriptionStatus'),
+
     // Visualizer canvas
     visualizerCanvas: document.getElementById('visualizer')
 };
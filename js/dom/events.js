@@ -17,8 +17,42 @@ const showConnectButton = () => {
     elements.connectBtn.style.display = 'block';
 };
 
+/**
+ * Tells the user why the agent could not connect and offers to try again
+ * @param {Error} error - Error of the connection attempt, e.g. a GeminiConnectionError
+ * @param {ChatManager} chatManager - Chat the error is shown in
+ */
+const showConnectionError = (error, chatManager) => {
+    console.error('Error connecting:', error);
+    chatManager.addErrorMessage(error.message);
+    showConnectButton();
+};
+
 let isCameraActive = false;
 
+// Latest health status of each transcriber, keyed by side
+const transcriberHealth = {};
+
+/**
+ * Shows whether transcription is delayed or unavailable, a failure outweighs a reconnect
+ * @param {Object} health - Health event of the agent
+ * @param {string} health.side - 'model' or 'user'
+ * @param {string} health.status - 'healthy', 'degraded', 'failed' or 'stopped'
+ * @param {string} [health.detail] - Reason of the status
+ */
+const updateTranscriptionStatus = ({ side, status, detail }) => {
+    transcriberHealth[side] = { status, detail };
+    const statuses = Object.values(transcriberHealth);
+    const problem = statuses.find((health) => health.status === 'failed') || statuses.find((health) => health.status === 'degraded');
+
+    elements.transcriptionStatus.hidden = !problem;
+    if (problem) {
+        elements.transcriptionStatus.textContent = problem.status === 'failed' ? 'Transcription unavailable' : 'Transcription reconnecting…';
+        elements.transcriptionStatus.title = problem.detail || '';
+        elements.transcriptionStatus.classList.toggle('failed', problem.status === 'failed');
+    }
+};
+
 /**
  * Ensures the agent is connected and initialized
  * @param {GeminiAgent} agent - The main application agent instance
@@ -37,8 +71,9 @@ const ensureAgentReady = async (agent) => {
 /**
  * Sets up event listeners for the application's UI elements
  * @param {GeminiAgent} agent - The main application agent instance
+ * @param {ChatManager} chatManager - Chat shown to the user, exported as the transcript
  */
-export function setupEventListeners(agent) {
+export function setupEventListeners(agent, chatManager) {
     // Disconnect handler
     elements.disconnectBtn.addEventListener('click', async () => {
         try {
@@ -51,12 +86,31 @@ export function setupEventListeners(agent) {
         }
     });
 
+    // Reset the UI once the agent has given up restoring a dropped connection
+    agent.on('reconnect_failed', async () => {
+        try {
+            await agent.disconnect();
+        } catch (error) {
+            console.error('Error cleaning up after failed reconnection:', error);
+        }
+        showConnectButton();
+        [elements.cameraBtn, elements.screenBtn, elements.micBtn].forEach(btn => btn.classList.remove('active'));
+        isCameraActive = false;
+    });
+
+    // Transcription indicator
+    agent.on('transcriber_health', updateTranscriptionStatus);
+
+    // Speaking indicator, driven by the voice activity detection of the recorder
+    agent.on('speech_start', () => elements.micBtn.classList.add('speaking'));
+    agent.on('speech_end', () => elements.micBtn.classList.remove('speaking'));
+
     // Connect handler
     elements.connectBtn.addEventListener('click', async () => {
         try {
             await ensureAgentReady(agent);
         } catch (error) {
-            console.error('Error connecting:', error);
+            showConnectionError(error, chatManager);
         }
     });
 
@@ -143,7 +197,26 @@ export function setupEventListeners(agent) {
 
     // Settings button click
     elements.settingsBtn.addEventListener('click', () => settingsManager.show());
+
+    // Export the recorded protocol session
+    settingsManager.elements.exportSessionBtn.addEventListener('click', () => agent.exportSessionRecording());
+
+    // Export the chat as a text transcript, with the speaker labels as edited
+    settingsManager.elements.exportTranscriptBtn.addEventListener('click', () => chatManager.exportTranscript());
 }
 
 // Initialize settings
 settingsManager;
+
+/**
+ * Connects the agent when the page loads, showing the error and the connect button if that fails
+ * @param {GeminiAgent} agent - The main application agent instance
+ * @param {ChatManager} chatManager - Chat the error is shown in
+ */
+export async function connectOnLoad(agent, chatManager) {
+    try {
+        await agent.connect();
+    } catch (error) {
+        showConnectionError(error, chatManager);
+    }
+}
\ No newline at end of file
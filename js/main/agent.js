@@ -9,38 +9,50 @@ import { AudioRecorder } from '../audio/recorder.js';
 import { AudioStreamer } from '../audio/streamer.js';
 import { AudioVisualizer } from '../audio/visualizer.js';
 
-import { DeepgramTranscriber } from '../transcribe/deepgram.js';
-
 import { CameraManager } from '../camera/camera.js';
 import { ScreenManager } from '../screen/screen.js';
 
+import { base64ToArrayBuffer } from '../utils/utils.js';
+
 export class GeminiAgent{
     constructor({
         name = 'GeminiAgent',
         url,
         config,
-        deepgramApiKey = null,
+        modelTranscriber = null,
+        userTranscriber = null,
         transcribeModelsSpeech = true,
         transcribeUsersSpeech = false,
         modelSampleRate = 24000,
-        toolManager = null
+        voiceActivity = {},
+        toolManager = null,
+        clientOptions = {}
     } = {}) {
         if (!url) throw new Error('WebSocket URL is required');
         if (!config) throw new Error('Config is required');
 
         this.initialized = false;
         this.connected = false;
+        this.connecting = null; // Promise of the connection attempt in progress
 
         // For audio components
         this.audioContext = null;
         this.audioRecorder = null;
         this.audioStreamer = null;
         
-        // For transcribers
+        // For transcribers, sides without one use the Live API's own transcripts if the setup requested them
+        this.modelTranscriber = transcribeModelsSpeech ? modelTranscriber : null;
+        this.userTranscriber = transcribeUsersSpeech ? userTranscriber : null;
         this.transcribeModelsSpeech = transcribeModelsSpeech;
         this.transcribeUsersSpeech = transcribeUsersSpeech;
-        this.deepgramApiKey = deepgramApiKey;
-        this.modelSampleRate = modelSampleRate;
+        this.modelSampleRate = modelSampleRate; // For model audio whose mime type does not state its rate
+        // clientDetection: the browser's voice activity detection marks the user's turns, the setup disables the server's
+        // dropSilence: only speech is sent to the model
+        this.voiceActivity = { clientDetection: false, dropSilence: false, ...voiceActivity };
+        // Where the model transcriber's audio clock starts in the streamer's received audio
+        this.modelTranscriberOffset = null;
+        if (this.modelTranscriber) this.attachTranscriber(this.modelTranscriber, 'transcription');
+        if (this.userTranscriber) this.attachTranscriber(this.userTranscriber, 'user_transcription');
 
         // Initialize screen & camera settings
         this.fps = localStorage.getItem('fps') || '5';
@@ -72,26 +84,33 @@ export class GeminiAgent{
         });
         this.screenInterval = null;
         
-        // Add function declarations to config
+        // Add function declarations and built-in tools to config
         this.toolManager = toolManager;
-        config.tools.functionDeclarations = toolManager.getToolDeclarations() || [];
+        config.tools = [...(config.tools || []), ...toolManager.getToolsConfig()];
         this.config = config;
 
         this.name = name;
         this.url = url;
+        this.clientOptions = clientOptions;
         this.client = null;
     }
 
     setupEventListeners() {
         // Handle incoming audio data from the model
-        this.client.on('audio', async (data) => {
+        this.client.on('audio', async (data, sampleRate = this.modelSampleRate) => {
             try {
                 if (!this.audioStreamer.isInitialized) {
                     this.audioStreamer.initialize();
                 }
-                this.audioStreamer.streamAudio(new Uint8Array(data));
+                const position = this.audioStreamer.receivedDuration;
+                this.audioStreamer.streamAudio(new Uint8Array(data), sampleRate);
 
-                if (this.modelTranscriber && this.modelTranscriber.isConnected) {
+                // Transcribers buffer the audio themselves while they reconnect
+                if (this.modelTranscriber?.isActive) {
+                    if (this.modelTranscriberOffset === null) {
+                        this.modelTranscriberOffset = position;
+                    }
+                    this.modelTranscriber.setSampleRate(sampleRate);
                     this.modelTranscriber.sendAudio(data);
                 }
 
@@ -100,11 +119,34 @@ export class GeminiAgent{
             }
         });
 
-        // Handle model interruptions by stopping audio playback
+        // Native transcripts for the sides without a transcriber of their own
+        this.client.on('output_transcription', (text) => {
+            if (this.transcribeModelsSpeech && !this.modelTranscriber) {
+                this.emit('transcription', text);
+            }
+        });
+        this.client.on('input_transcription', (text) => {
+            if (this.transcribeUsersSpeech && !this.userTranscriber) {
+                this.emit('user_transcription', text);
+            }
+        });
+
+        // Forward non-audio parts (text, code, images) for rendering in the chat
+        this.client.on('content', (content) => {
+            this.emit('content', content.modelTurn.parts);
+        });
+
+        // Forward search sources and queries used to ground the answer
+        this.client.on('grounding', (groundingMetadata) => {
+            this.emit('grounding', groundingMetadata);
+        });
+
+        // Handle model interruptions by stopping audio playback, listeners learn when the audio was cut
         this.client.on('interrupted', () => {
+            const playbackTime = this.audioContext.currentTime;
             this.audioStreamer.stop();
             this.audioStreamer.isInitialized = false;
-            this.emit('interrupted');
+            this.emit('interrupted', { playbackTime });
         });
 
         // Add an event handler when the model finishes speaking if needed
@@ -116,23 +158,76 @@ export class GeminiAgent{
         this.client.on('tool_call', async (toolCall) => {
             await this.handleToolCall(toolCall);
         });
+
+        // Stop tools the model no longer needs, e.g. after the user interrupted it
+        this.client.on('tool_call_cancellation', (cancellation) => {
+            this.toolManager.cancelToolCalls(cancellation.ids || []);
+            this.emit('tool_call_cancellation', cancellation.ids);
+        });
+
+        // Forward connection recovery events so the UI can reflect them
+        this.client.on('reconnecting', (info) => {
+            console.warn(`Connection lost, reconnecting (attempt ${info.attempt})...`);
+            this.emit('reconnecting', info);
+        });
+
+        this.client.on('reconnected', (info) => {
+            console.info('Connection restored');
+            this.emit('reconnected', info);
+        });
+
+        this.client.on('reconnect_failed', (error) => {
+            console.error('Could not restore the connection', error);
+            this.emit('reconnect_failed', error);
+        });
     }
         
-    // TODO: Handle multiple function calls
+    /**
+     * Executes every function call of a tool call and sends all results back in one toolResponse.
+     * @param {Object} toolCall - Tool call received from the model
+     */
     async handleToolCall(toolCall) {
-        const functionCall = toolCall.functionCalls[0];
-        const response = await this.toolManager.handleToolCall(functionCall);
-        await this.client.sendToolResponse(response);
+        const functionCalls = toolCall.functionCalls || [];
+        if (!functionCalls.length) return;
+        const responses = await this.toolManager.handleToolCalls(functionCalls);
+
+        // The model already discarded cancelled calls, answering them would be stale
+        const activeResponses = responses.filter((response) => !response.cancelled);
+        if (!activeResponses.length) return;
+        await this.client.sendToolResponse(activeResponses);
     }
 
     /**
      * Connects to the Gemini API using the GeminiWebsocketClient.connect() method.
+     * Resolves once the server has confirmed the setup. Calls made while connecting share the attempt in progress.
+     * @throws {GeminiConnectionError} When the server rejects the setup or does not answer in time
      */
-    async connect() {
-        this.client = new GeminiWebsocketClient(this.name, this.url, this.config);
-        await this.client.connect();
-        this.setupEventListeners();
-        this.connected = true;
+    connect() {
+        if (!this.connecting) {
+            this.connecting = (async () => {
+                // Approvals granted with "Always allow this session" do not carry over to a new session
+                this.toolManager.resetSession();
+                this.client = new GeminiWebsocketClient(this.name, this.url, this.config, this.clientOptions);
+                await this.client.connect();
+                this.setupEventListeners();
+                this.connected = true;
+            })().finally(() => {
+                this.connecting = null;
+            });
+        }
+        return this.connecting;
+    }
+
+    /**
+     * Downloads the frames recorded by the session recorder, if recording is enabled.
+     */
+    exportSessionRecording() {
+        const recorder = this.clientOptions.recorder;
+        if (!recorder) {
+            console.warn('Session recording is disabled, enable it in the settings or with ?record');
+            return;
+        }
+        recorder.download();
     }
 
     /**
@@ -254,24 +349,12 @@ export class GeminiAgent{
                 this.audioStreamer = null;
             }
 
-            // Cleanup model's speech transcriber
-            if (this.modelTranscriber) {
+            // Cleanup speech transcribers, they are reused if the agent connects again
+            if (this.modelTranscriber?.isActive) {
                 this.modelTranscriber.disconnect();
-                this.modelTranscriber = null;
-                if (this.modelsKeepAliveInterval) {
-                    clearInterval(this.modelsKeepAliveInterval);
-                    this.modelsKeepAliveInterval = null;
-                }
             }
-
-            // Cleanup user's speech transcriber
-            if (this.userTranscriber) {
+            if (this.userTranscriber?.isActive) {
                 this.userTranscriber.disconnect();
-                this.userTranscriber = null;
-                if (this.userKeepAliveInterval) {
-                    clearInterval(this.userKeepAliveInterval);
-                    this.userKeepAliveInterval = null;
-                }
             }
 
             // Finally close audio context
@@ -281,8 +364,11 @@ export class GeminiAgent{
             }
 
             // Cleanup WebSocket
-            this.client.disconnect();
-            this.client = null;
+            if (this.client) {
+                this.client.disconnect();
+                this.client = null;
+            }
+            this.toolManager.resetSession();
             this.initialized = false;
             this.connected = false;
             
@@ -293,75 +379,78 @@ export class GeminiAgent{
     }
 
     /**
-     * Initializes the model's speech transcriber with Deepgram
+     * Forwards the transcripts of a transcriber as agent events.
+     * @param {Transcriber} transcriber - Provider for one side of the conversation
+     * @param {string} eventName - 'transcription' for the model's speech, 'user_transcription' for the user's
      */
-    async initializeModelSpeechTranscriber() {
-        if (!this.modelTranscriber) {
-            console.warn('Either no Deepgram API key provided or model speech transcription disabled');
-            return;
-        }
-
-        console.info('Initializing Deepgram model speech transcriber...');
+    attachTranscriber(transcriber, eventName) {
+        // Word timings of the model's speech are moved onto the playback clock
+        const forward = (name, transcript, words) => {
+            if (transcriber === this.modelTranscriber) {
+                const aligned = this.alignModelWords(transcript, words);
+                if (!aligned) return;
+                this.emit(name, aligned.text, aligned.words);
+            } else {
+                // Words of the user's speech carry the speaker when the transcriber diarizes
+                this.emit(name, transcript, words);
+            }
+        };
 
-        // Promise to send keep-alive every 10 seconds once connected
-        const connectionPromise = new Promise((resolve) => {
-            this.modelTranscriber.on('connected', () => {
-                console.info('Model speech transcriber connection established, setting up keep-alive...');
-                this.modelsKeepAliveInterval = setInterval(() => {
-                    if (this.modelTranscriber.isConnected) {
-                        this.modelTranscriber.ws.send(JSON.stringify({ type: 'KeepAlive' }));
-                        console.info('Sent keep-alive message to model speech transcriber');
-                    }
-                }, 10000);
-                resolve();
+        transcriber.on('transcription', (transcript, words) => {
+            forward(eventName, transcript, words);
+            console.debug(`${eventName}:`, transcript);
+        });
+        transcriber.on('interim', (transcript, words) => {
+            forward(`${eventName}_interim`, transcript, words);
+        });
+        if (transcriber === this.modelTranscriber) {
+            // Every connection restarts the transcriber's clock
+            transcriber.on('connected', () => {
+                this.modelTranscriberOffset = null;
             });
+        }
+        transcriber.on('error', (error) => {
+            console.error(`${transcriber.constructor.name} error:`, error);
         });
-
-        // Just log transcription to console for now
-        this.modelTranscriber.on('transcription', (transcript) => {
-            this.emit('transcription', transcript);
-            console.debug('Model speech transcription:', transcript);
+        // Lets the UI show when transcripts are delayed or missing
+        transcriber.on('health', ({ status, detail }) => {
+            this.emit('transcriber_health', { side: eventName === 'transcription' ? 'model' : 'user', status, detail });
         });
-
-        // Connect to Deepgram and execute promise
-        await this.modelTranscriber.connect();
-        await connectionPromise;
     }
 
     /**
-     * Initializes the user's speech transcriber with Deepgram
+     * Converts word timestamps of the model transcriber into AudioContext times of their playback.
+     * Words whose audio was never played, because the model was interrupted, are dropped.
+     * @param {string} transcript - Transcript of the segment
+     * @param {Array<Object>} [words] - Words with start and end in seconds of the transcriber's audio
+     * @returns {{text: string, words: Array<Object>}|null} Aligned transcript, null if none of it was played
      */
-    async initializeUserSpeechTranscriber() {
-        if (!this.userTranscriber) {
-            console.warn('Either no Deepgram API key provided or user speech transcription disabled');
-            return;
+    alignModelWords(transcript, words) {
+        if (!words?.length || this.modelTranscriberOffset === null || !this.audioStreamer) {
+            return { text: transcript, words: [] };
         }
 
-        console.info('Initializing Deepgram user speech transcriber...');
+        const aligned = words.map((word) => {
+            const start = this.audioStreamer.getPlaybackTime(this.modelTranscriberOffset + word.start);
+            return start === null ? null : { word: word.word, start, end: start + (word.end - word.start) };
+        }).filter(Boolean);
 
-        // Promise to send keep-alive every 10 seconds once connected
-        const connectionPromise = new Promise((resolve) => {
-            this.userTranscriber.on('connected', () => {
-                console.info('User speech transcriber connection established, setting up keep-alive...');
-                this.userKeepAliveInterval = setInterval(() => {
-                    if (this.userTranscriber.isConnected) {
-                        this.userTranscriber.ws.send(JSON.stringify({ type: 'KeepAlive' }));
-                        console.info('Sent keep-alive message to user transcriber');
-                    }
-                }, 10000);
-                resolve();
-            });
-        });
-
-        // Handle user transcription events
-        this.userTranscriber.on('transcription', (transcript) => {
-            this.emit('user_transcription', transcript);
-            console.debug('User speech transcription:', transcript);
-        });
+        if (!aligned.length) return null;
+        const text = aligned.length === words.length ? transcript : aligned.map((word) => word.word).join(' ');
+        return { text, words: aligned };
+    }
 
-        // Connect to Deepgram and execute promise
-        await this.userTranscriber.connect();
-        await connectionPromise;
+    /**
+     * Connects a transcriber, errors are logged so a failing provider does not stop the conversation.
+     * @param {Transcriber} transcriber - Provider to connect
+     */
+    async connectTranscriber(transcriber) {
+        try {
+            console.info(`Connecting ${transcriber.constructor.name}...`);
+            await transcriber.connect();
+        } catch (error) {
+            console.error(`Could not start ${transcriber.constructor.name}:`, error);
+        }
     }
 
     /**
@@ -377,20 +466,15 @@ export class GeminiAgent{
             this.visualizer = new AudioVisualizer(this.audioContext, 'visualizer');
             this.audioStreamer.gainNode.connect(this.visualizer.analyser);
             this.visualizer.start();
-            this.audioRecorder = new AudioRecorder();
+            this.audioRecorder = new AudioRecorder({ vad: { dropSilence: this.voiceActivity.dropSilence } });
+            this.audioRecorder.addEventListener('speechstart', () => this.onSpeechActivity(true));
+            this.audioRecorder.addEventListener('speechend', () => this.onSpeechActivity(false));
             
-            // Initialize transcriber if API key is provided
-            if (this.deepgramApiKey) {
-                if (this.transcribeModelsSpeech) {
-                    this.modelTranscriber = new DeepgramTranscriber(this.deepgramApiKey, this.modelSampleRate);
-                    await this.initializeModelSpeechTranscriber();
-                }
-                if (this.transcribeUsersSpeech) {
-                    this.userTranscriber = new DeepgramTranscriber(this.deepgramApiKey, 16000);
-                    await this.initializeUserSpeechTranscriber();
+            // Transcribers with their own microphone follow the mic state instead, see syncMicTranscriber()
+            for (const transcriber of [this.modelTranscriber, this.userTranscriber]) {
+                if (transcriber && !transcriber.usesOwnMicrophone) {
+                    await this.connectTranscriber(transcriber);
                 }
-            } else {
-                console.warn('No Deepgram API key provided, transcription disabled');
             }
             
             this.initialized = true;
@@ -406,9 +490,9 @@ export class GeminiAgent{
         // Start recording with callback to send audio data to websocket and transcriber
         await this.audioRecorder.start(async (audioData) => {
             try {
-                this.client.sendAudio(audioData);
-                if (this.userTranscriber && this.userTranscriber.isConnected) {
-                    this.userTranscriber.sendAudio(new Uint8Array(audioData));
+                this.client.sendAudio(audioData, this.audioRecorder.sampleRate);
+                if (this.userTranscriber?.isActive && !this.userTranscriber.usesOwnMicrophone) {
+                    this.userTranscriber.sendAudio(new Uint8Array(base64ToArrayBuffer(audioData)));
                 }
             } catch (error) {
                 console.error('Error sending audio data:', error);
@@ -417,15 +501,45 @@ export class GeminiAgent{
         });
     }
 
+    /**
+     * Reports the user's speech detected in the browser, and marks the user's turn
+     * when the server's activity detection is disabled
+     * @param {boolean} isSpeaking - Whether the user started or stopped speaking
+     */
+    onSpeechActivity(isSpeaking) {
+        if (this.voiceActivity.clientDetection && this.client) {
+            const signal = isSpeaking ? this.client.sendActivityStart() : this.client.sendActivityEnd();
+            signal.catch((error) => console.error('Error sending voice activity:', error));
+        }
+        this.emit(isSpeaking ? 'speech_start' : 'speech_end');
+    }
+
     /**
      * Toggles the microphone state between active and suspended
      */
     async toggleMic() {
         if (!this.audioRecorder.stream) {
             await this.startRecording();
-            return;
+        } else {
+            await this.audioRecorder.toggleMic();
+        }
+        await this.syncMicTranscriber();
+    }
+
+    /**
+     * Runs a transcriber that captures the microphone itself only while the mic is on,
+     * so nothing is transcribed while the user muted it
+     */
+    async syncMicTranscriber() {
+        const transcriber = this.userTranscriber;
+        if (!transcriber?.usesOwnMicrophone) return;
+
+        const micActive = this.audioRecorder.isRecording && !this.audioRecorder.isSuspended;
+        if (micActive && !transcriber.isActive) {
+            await this.connectTranscriber(transcriber);
+        } else if (!micActive && transcriber.isActive) {
+            transcriber.disconnect();
         }
-        await this.audioRecorder.toggleMic();
     }           
 
     // Add event emitter functionality
@@ -439,12 +553,12 @@ export class GeminiAgent{
         this._eventListeners.get(eventName).push(callback);
     }
 
-    emit(eventName, data) {
+    emit(eventName, ...args) {
         if (!this._eventListeners || !this._eventListeners.has(eventName)) {
             return;
         }
         for (const callback of this._eventListeners.get(eventName)) {
-            callback(data);
+            callback(...args);
         }
     }
 }
\ No newline at end of file
@@ -1,32 +1,103 @@
 import { GeminiAgent } from './main/agent.js';
-import { getConfig, getWebsocketUrl, getDeepgramApiKey, MODEL_SAMPLE_RATE } from './config/config.js';
+import { getConfig, getWebsocketUrl, getDeepgramApiKey, getTranscriptionSource, getTranscriptionOptions, getLocalWhisperOptions, getVoiceActivityOptions, getBuiltInTools, isSessionRecordingEnabled, getReplayUrls, MODEL_SAMPLE_RATE } from './config/config.js';
+import { SessionRecorder } from './ws/session-recorder.js';
+import { ReplayTransport } from './ws/transports.js';
+import { DeepgramTranscriber } from './transcribe/deepgram.js';
+import { WebSpeechTranscriber } from './transcribe/web-speech.js';
+import { LocalWhisperTranscriber } from './transcribe/local-whisper.js';
 
 import { GoogleSearchTool } from './tools/google-search.js';
+import { CodeExecutionTool } from './tools/code-execution.js';
 import { ToolManager } from './tools/tool-manager.js';
 import { ChatManager } from './chat/chat-manager.js';
 
-import { setupEventListeners } from './dom/events.js';
+import { setupEventListeners, connectOnLoad } from './dom/events.js';
 
 const url = getWebsocketUrl();
 const config = getConfig();
 const deepgramApiKey = getDeepgramApiKey();
+const transcriptionSource = getTranscriptionSource();
 
-const toolManager = new ToolManager();
-toolManager.registerTool('googleSearch', new GoogleSearchTool());
+const builtInTools = getBuiltInTools();
+
+// Transcribers for the sides the Live API does not transcribe itself
+let modelTranscriber = null;
+let userTranscriber = null;
+if (transcriptionSource === 'deepgram') {
+    modelTranscriber = new DeepgramTranscriber(deepgramApiKey, MODEL_SAMPLE_RATE, getTranscriptionOptions('model'));
+    userTranscriber = new DeepgramTranscriber(deepgramApiKey, 16000, getTranscriptionOptions('user'));
+} else if (transcriptionSource === 'webspeech') {
+    const { language } = getTranscriptionOptions('user');
+    userTranscriber = new WebSpeechTranscriber(language === 'auto' ? {} : { language });
+} else if (transcriptionSource === 'local') {
+    const whisperOptions = getLocalWhisperOptions();
+    modelTranscriber = new LocalWhisperTranscriber(MODEL_SAMPLE_RATE, { ...whisperOptions, language: getTranscriptionOptions('model').language });
+    userTranscriber = new LocalWhisperTranscriber(16000, { ...whisperOptions, language: getTranscriptionOptions('user').language });
+}
 
 const chatManager = new ChatManager();
 
+// Sensitive tools registered with requiresConfirmation ask the user through the chat
+const toolManager = new ToolManager({
+    onConfirmationRequest: (request) => chatManager.requestToolConfirmation(request)
+});
+if (builtInTools.googleSearch) {
+    toolManager.registerTool('googleSearch', new GoogleSearchTool());
+}
+if (builtInTools.codeExecution) {
+    toolManager.registerTool('codeExecution', new CodeExecutionTool());
+}
+
+// Optional protocol recording, or replay of a recorded session instead of the network
+const clientOptions = {};
+if (isSessionRecordingEnabled()) {
+    clientOptions.recorder = new SessionRecorder();
+}
+const replayUrls = getReplayUrls();
+if (replayUrls.session) {
+    const sessionJSONL = await (await fetch(replayUrls.session)).text();
+    const mediaJSONL = replayUrls.media ? await (await fetch(replayUrls.media)).text() : '';
+    const entries = SessionRecorder.parse(sessionJSONL, mediaJSONL);
+    clientOptions.transport = new ReplayTransport(entries);
+    clientOptions.reconnect = false;
+}
+
 const geminiAgent = new GeminiAgent({
     url,
     config,
-    deepgramApiKey,
+    modelTranscriber,
+    userTranscriber,
+    transcribeModelsSpeech: transcriptionSource !== 'off',
+    transcribeUsersSpeech: transcriptionSource !== 'off',
     modelSampleRate: MODEL_SAMPLE_RATE,
-    toolManager
+    voiceActivity: getVoiceActivityOptions(),
+    toolManager,
+    clientOptions
 });
 
 // Handle chat-related events
-geminiAgent.on('transcription', (transcript) => {
-    chatManager.updateStreamingMessage(transcript);
+geminiAgent.on('transcription', (transcript, words) => {
+    chatManager.updateStreamingMessage(transcript, modelTranscriber ? ' ' : '', words);
+});
+
+geminiAgent.on('transcription_interim', (transcript) => {
+    chatManager.updateStreamingInterim(transcript);
+});
+
+geminiAgent.on('user_transcription', (transcript, words) => {
+    chatManager.updateUserTranscript(transcript, userTranscriber ? ' ' : '', words);
+});
+
+geminiAgent.on('user_transcription_interim', (transcript) => {
+    chatManager.updateUserInterim(transcript);
+});
+
+geminiAgent.on('content', (parts) => {
+    chatManager.addModelContent(parts);
+});
+
+geminiAgent.on('grounding', (groundingMetadata) => {
+    chatManager.addGroundingMetadata(groundingMetadata);
 });
 
 geminiAgent.on('text_sent', (text) => {
@@ -34,7 +105,11 @@ geminiAgent.on('text_sent', (text) => {
     chatManager.addUserMessage(text);
 });
 
-geminiAgent.on('interrupted', () => {
+// Highlight the spoken word and cut the transcript where the model was interrupted
+chatManager.setPlaybackClock(() => geminiAgent.audioContext?.currentTime ?? 0);
+
+geminiAgent.on('interrupted', ({ playbackTime }) => {
+    chatManager.cutTranscriptAt(playbackTime);
     chatManager.finalizeStreamingMessage();
     if (!chatManager.lastUserMessageType) {
         chatManager.addUserAudioMessage();
@@ -45,6 +120,5 @@ geminiAgent.on('turn_complete', () => {
     chatManager.finalizeStreamingMessage();
 });
 
-geminiAgent.connect();
-
-setupEventListeners(geminiAgent);
\ No newline at end of file
+setupEventListeners(geminiAgent, chatManager);
+connectOnLoad(geminiAgent, chatManager);
\ No newline at end of file
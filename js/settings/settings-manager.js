@@ -1,4 +1,5 @@
 import { settingsTemplate } from './settings-template.js';
+import { DEFAULT_MODEL, getModelInfo, supportsModalities } from '../config/models.js';
 
 class SettingsManager {
     constructor() {
@@ -24,10 +25,37 @@ class SettingsManager {
         this.elements = {
             dialog: this.dialog,
             overlay: this.overlay,
+            connectionModeSelect: this.dialog.querySelector('#connectionMode'),
+            proxySettings: this.dialog.querySelector('.proxy-settings'),
+            directSettings: this.dialog.querySelector('.direct-settings'),
+            proxyUrlInput: this.dialog.querySelector('#proxyUrl'),
+            proxyTokenInput: this.dialog.querySelector('#proxyToken'),
             apiKeyInput: this.dialog.querySelector('#apiKey'),
+            transcriptionSourceSelect: this.dialog.querySelector('#transcriptionSource'),
             deepgramApiKeyInput: this.dialog.querySelector('#deepgramApiKey'),
+            transcriptionToggle: this.dialog.querySelector('#transcriptionToggle'),
+            transcriptionContent: this.dialog.querySelector('#transcriptionToggle + .collapsible-content'),
+            // Options of the user's and the model's transcriber, stored under their ids
+            transcriptionInputs: ['user', 'model'].flatMap((side) =>
+                ['TranscriptionLanguage', 'TranscriptionModel', 'Punctuate', 'SmartFormat', 'Keywords', 'Diarize']
+                    .map((option) => this.dialog.querySelector(`#${side}${option}`))
+                    .filter(Boolean) // Speakers are only told apart in the user's speech
+            ),
+            exportTranscriptBtn: this.dialog.querySelector('#exportTranscriptBtn'),
+            localWhisperModelSelect: this.dialog.querySelector('#localWhisperModel'),
+            localWhisperHostInput: this.dialog.querySelector('#localWhisperHost'),
+            localWhisperLibraryInput: this.dialog.querySelector('#localWhisperLibrary'),
+            modelSelect: this.dialog.querySelector('#model'),
+            modelSessionInfo: this.dialog.querySelector('#modelSessionInfo'),
+            apiVersionSelect: this.dialog.querySelector('#apiVersion'),
+            responseModalitiesSelect: this.dialog.querySelector('#responseModalities'),
             voiceSelect: this.dialog.querySelector('#voice'),
+            googleSearchInput: this.dialog.querySelector('#googleSearch'),
+            codeExecutionInput: this.dialog.querySelector('#codeExecution'),
             sampleRateInput: this.dialog.querySelector('#sampleRate'),
+            vadModeSelect: this.dialog.querySelector('#vadMode'),
+            vadClientSettings: this.dialog.querySelector('.vad-client-settings'),
+            dropSilenceInput: this.dialog.querySelector('#dropSilence'),
             sampleRateValue: this.dialog.querySelector('#sampleRateValue'),
             systemInstructionsToggle: this.dialog.querySelector('#systemInstructionsToggle'),
             systemInstructionsContent: this.dialog.querySelector('#systemInstructions').parentElement,
@@ -42,6 +70,10 @@ class SettingsManager {
             qualityValue: this.dialog.querySelector('#qualityValue'),
             advancedToggle: this.dialog.querySelector('#advancedToggle'),
             advancedContent: this.dialog.querySelector('#advancedToggle + .collapsible-content'),
+            customWebsocketUrlInput: this.dialog.querySelector('#customWebsocketUrl'),
+            sendApiKeyToCustomUrlInput: this.dialog.querySelector('#sendApiKeyToCustomUrl'),
+            recordSessionInput: this.dialog.querySelector('#recordSession'),
+            exportSessionBtn: this.dialog.querySelector('#exportSessionBtn'),
             temperatureInput: this.dialog.querySelector('#temperature'),
             temperatureValue: this.dialog.querySelector('#temperatureValue'),
             topPInput: this.dialog.querySelector('#topP'),
@@ -76,11 +108,22 @@ class SettingsManager {
             window.location.reload();
         });
 
+        // Only show the fields of the selected connection mode
+        this.elements.connectionModeSelect.addEventListener('change', () => this.updateConnectionFields());
+        this.elements.vadModeSelect.addEventListener('change', () => this.updateVadFields());
+
+        // Only offer what the selected model supports
+        this.elements.modelSelect.addEventListener('change', () => this.updateModelOptions());
+
         // Toggle collapsible sections
         this.elements.systemInstructionsToggle.addEventListener('click', () => {
             this.toggleCollapsible(this.elements.systemInstructionsToggle, this.elements.systemInstructionsContent);
         });
 
+        this.elements.transcriptionToggle.addEventListener('click', () => {
+            this.toggleCollapsible(this.elements.transcriptionToggle, this.elements.transcriptionContent);
+        });
+
         this.elements.advancedToggle.addEventListener('click', () => {
             this.toggleCollapsible(this.elements.advancedToggle, this.elements.advancedContent);
         });
@@ -107,11 +150,37 @@ class SettingsManager {
 
     loadSettings() {
         // Load values from localStorage
+        this.elements.connectionModeSelect.value = localStorage.getItem('connectionMode') || 'direct';
+        this.elements.proxyUrlInput.value = localStorage.getItem('proxyUrl') || '';
+        this.elements.proxyTokenInput.value = localStorage.getItem('proxyToken') || '';
         this.elements.apiKeyInput.value = localStorage.getItem('apiKey') || '';
+        this.elements.transcriptionSourceSelect.value = localStorage.getItem('transcriptionSource') || 'native';
         this.elements.deepgramApiKeyInput.value = localStorage.getItem('deepgramApiKey') || '';
+        this.elements.transcriptionInputs.forEach((input) => {
+            const value = localStorage.getItem(input.id);
+            if (value === null) return; // Keep the default from the template
+            if (input.type === 'checkbox') {
+                input.checked = value === 'true';
+            } else {
+                input.value = value;
+            }
+        });
+        this.elements.localWhisperModelSelect.value = localStorage.getItem('localWhisperModel') || 'onnx-community/whisper-tiny.en';
+        this.elements.localWhisperHostInput.value = localStorage.getItem('localWhisperHost') || '';
+        this.elements.localWhisperLibraryInput.value = localStorage.getItem('localWhisperLibrary') || '';
+        this.elements.modelSelect.value = localStorage.getItem('model') || DEFAULT_MODEL;
+        this.elements.apiVersionSelect.value = localStorage.getItem('apiVersion') || '';
+        this.elements.responseModalitiesSelect.value = localStorage.getItem('responseModalities') || 'AUDIO';
         this.elements.voiceSelect.value = localStorage.getItem('voiceName') || 'Aoede';
-        this.elements.sampleRateInput.value = localStorage.getItem('sampleRate') || '27000';
+        this.elements.googleSearchInput.checked = localStorage.getItem('googleSearch') !== 'false';
+        this.elements.codeExecutionInput.checked = localStorage.getItem('codeExecution') === 'true';
+        this.elements.sampleRateInput.value = localStorage.getItem('sampleRate') || '24000';
+        this.elements.vadModeSelect.value = localStorage.getItem('vadMode') || 'server';
+        this.elements.dropSilenceInput.checked = localStorage.getItem('dropSilence') === 'true';
         this.elements.systemInstructionsInput.value = localStorage.getItem('systemInstructions') || 'You are a helpful assistant';
+        this.elements.customWebsocketUrlInput.value = localStorage.getItem('customWebsocketUrl') || '';
+        this.elements.sendApiKeyToCustomUrlInput.checked = localStorage.getItem('sendApiKeyToCustomUrl') === 'true';
+        this.elements.recordSessionInput.checked = localStorage.getItem('recordSession') === 'true';
         this.elements.temperatureInput.value = localStorage.getItem('temperature') || '1.8';
         this.elements.topPInput.value = localStorage.getItem('top_p') || '0.95';
         this.elements.topKInput.value = localStorage.getItem('top_k') || '65';
@@ -127,15 +196,38 @@ class SettingsManager {
         this.elements.sexualInput.value = localStorage.getItem('sexuallyExplicitThreshold') || '3';
         this.elements.civicInput.value = localStorage.getItem('civicIntegrityThreshold') || '3';
 
+        this.updateConnectionFields();
+        this.updateVadFields();
+        this.updateModelOptions();
         this.updateDisplayValues();
     }
 
     saveSettings() {
+        localStorage.setItem('connectionMode', this.elements.connectionModeSelect.value);
+        localStorage.setItem('proxyUrl', this.elements.proxyUrlInput.value.trim());
+        localStorage.setItem('proxyToken', this.elements.proxyTokenInput.value);
         localStorage.setItem('apiKey', this.elements.apiKeyInput.value);
+        localStorage.setItem('transcriptionSource', this.elements.transcriptionSourceSelect.value);
         localStorage.setItem('deepgramApiKey', this.elements.deepgramApiKeyInput.value);
+        this.elements.transcriptionInputs.forEach((input) => {
+            localStorage.setItem(input.id, input.type === 'checkbox' ? input.checked : input.value.trim());
+        });
+        localStorage.setItem('localWhisperModel', this.elements.localWhisperModelSelect.value);
+        localStorage.setItem('localWhisperHost', this.elements.localWhisperHostInput.value.trim());
+        localStorage.setItem('localWhisperLibrary', this.elements.localWhisperLibraryInput.value.trim());
+        localStorage.setItem('model', this.elements.modelSelect.value);
+        localStorage.setItem('apiVersion', this.elements.apiVersionSelect.value);
+        localStorage.setItem('responseModalities', this.elements.responseModalitiesSelect.value);
         localStorage.setItem('voiceName', this.elements.voiceSelect.value);
+        localStorage.setItem('googleSearch', this.elements.googleSearchInput.checked);
+        localStorage.setItem('codeExecution', this.elements.codeExecutionInput.checked);
         localStorage.setItem('sampleRate', this.elements.sampleRateInput.value);
+        localStorage.setItem('vadMode', this.elements.vadModeSelect.value);
+        localStorage.setItem('dropSilence', this.elements.dropSilenceInput.checked);
         localStorage.setItem('systemInstructions', this.elements.systemInstructionsInput.value);
+        localStorage.setItem('customWebsocketUrl', this.elements.customWebsocketUrlInput.value.trim());
+        localStorage.setItem('sendApiKeyToCustomUrl', this.elements.sendApiKeyToCustomUrlInput.checked);
+        localStorage.setItem('recordSession', this.elements.recordSessionInput.checked);
         localStorage.setItem('temperature', this.elements.temperatureInput.value);
         localStorage.setItem('top_p', this.elements.topPInput.value);
         localStorage.setItem('top_k', this.elements.topKInput.value);
@@ -152,6 +244,53 @@ class SettingsManager {
         localStorage.setItem('civicIntegrityThreshold', this.elements.civicInput.value);
     }
 
+    updateConnectionFields() {
+        const isProxy = this.elements.connectionModeSelect.value === 'proxy';
+        this.elements.proxySettings.style.display = isProxy ? '' : 'none';
+        this.elements.directSettings.style.display = isProxy ? 'none' : '';
+    }
+
+    // Silence can only be left out when the browser detects the end of the user's turn
+    updateVadFields() {
+        this.elements.vadClientSettings.style.display = this.elements.vadModeSelect.value === 'client' ? '' : 'none';
+    }
+
+    /**
+     * Hides the options the selected model does not support and moves selections
+     * that became unavailable to the model's first supported value.
+     */
+    updateModelOptions() {
+        const modelInfo = getModelInfo(this.elements.modelSelect.value);
+
+        this.filterOptions(this.elements.apiVersionSelect, (version) => modelInfo.apiVersions.includes(version));
+        this.filterOptions(this.elements.responseModalitiesSelect, (modalities) => supportsModalities(modelInfo, modalities));
+        this.filterOptions(this.elements.voiceSelect, (voice) => modelInfo.voices.includes(voice));
+
+        // Built-in tool checkboxes sit inside their labels
+        [['googleSearch', this.elements.googleSearchInput], ['codeExecution', this.elements.codeExecutionInput]].forEach(([tool, input]) => {
+            input.parentElement.style.display = modelInfo.tools.includes(tool) ? '' : 'none';
+        });
+
+        this.elements.modelSessionInfo.textContent =
+            `Sessions last up to ${modelInfo.maxSessionMinutes} min, ${modelInfo.maxVideoSessionMinutes} min with camera or screen sharing`;
+    }
+
+    /**
+     * Hides the options of a select that do not pass the filter.
+     * @param {HTMLSelectElement} select - Select element
+     * @param {Function} isSupported - Called with an option value
+     */
+    filterOptions(select, isSupported) {
+        const options = Array.from(select.options);
+        options.forEach((option) => {
+            option.hidden = !isSupported(option.value);
+            option.disabled = option.hidden;
+        });
+        if (!select.value || select.selectedOptions[0]?.hidden) {
+            select.value = options.find((option) => !option.hidden)?.value ?? '';
+        }
+    }
+
     updateDisplayValues() {
         this.elements.sampleRateValue.textContent = this.elements.sampleRateInput.value + ' Hz';
         this.elements.temperatureValue.textContent = this.elements.temperatureInput.value;
@@ -1,29 +1,159 @@
+import { MODELS, API_VERSIONS } from '../config/models.js';
+
+// Voices of all models, the settings manager hides those the selected model does not have
+const allVoices = [...new Set(Object.values(MODELS).flatMap((model) => model.voices))];
+
+const TRANSCRIPTION_LANGUAGES = {
+    'auto': 'Detect automatically',
+    'en-US': 'English (US)',
+    'en-GB': 'English (UK)',
+    'es': 'Spanish',
+    'fr': 'French',
+    'de': 'German',
+    'it': 'Italian',
+    'pt': 'Portuguese',
+    'nl': 'Dutch',
+    'pl': 'Polish',
+    'ru': 'Russian',
+    'tr': 'Turkish',
+    'hi': 'Hindi',
+    'ja': 'Japanese',
+    'ko': 'Korean',
+    'zh': 'Chinese'
+};
+
+// Transcriber options for one side of the conversation, ids are prefixed with 'user' or 'model'
+const transcriptionOptions = (side, title) => `
+        <div class="settings-group">
+            <label>${title}</label>
+            <label for="${side}TranscriptionLanguage">Language</label>
+            <select id="${side}TranscriptionLanguage">
+                ${Object.entries(TRANSCRIPTION_LANGUAGES).map(([code, name]) => `<option value="${code}"${code === 'en-US' ? ' selected' : ''}>${name}</option>`).join('')}
+            </select>
+            <label for="${side}TranscriptionModel">Deepgram Model</label>
+            <select id="${side}TranscriptionModel">
+                <option value="nova-3">Nova 3</option>
+                <option value="nova-2" selected>Nova 2</option>
+                <option value="enhanced">Enhanced</option>
+                <option value="base">Base</option>
+            </select>
+            <label class="checkbox-label"><input type="checkbox" id="${side}Punctuate" checked> Punctuation</label>
+            <label class="checkbox-label"><input type="checkbox" id="${side}SmartFormat"> Smart formatting (numbers, dates)</label>
+            ${side === 'user' ? `<label class="checkbox-label"><input type="checkbox" id="${side}Diarize"> Tell speakers apart (several people at one microphone)</label>` : ''}
+            <label for="${side}Keywords">Keywords to boost (comma separated)</label>
+            <input type="text" id="${side}Keywords" placeholder="Gemini, Deepgram">
+        </div>`;
+
 export const settingsTemplate = `
 <div class="settings-group">
+    <label for="connectionMode">Connection</label>
+    <select id="connectionMode">
+        <option value="direct">Direct (API key in browser)</option>
+        <option value="proxy">Backend proxy</option>
+    </select>
+</div>
+
+<div class="settings-group proxy-settings">
+    <label for="proxyUrl">Proxy URL</label>
+    <input type="text" id="proxyUrl" placeholder="Defaults to /ws on this host">
+    <label for="proxyToken">Proxy Access Token (Optional)</label>
+    <input type="password" id="proxyToken" placeholder="Token issued by the proxy operator">
+</div>
+
+<div class="settings-group direct-settings">
     <label for="apiKey">Gemini API Key</label>
     <input type="password" id="apiKey" placeholder="Enter your Gemini API key">
 </div>
 
+<div class="settings-group">
+    <label for="transcriptionSource">Transcription</label>
+    <select id="transcriptionSource">
+        <option value="native">Gemini (built in)</option>
+        <option value="deepgram">Deepgram</option>
+        <option value="webspeech">Browser speech recognition (your speech)</option>
+        <option value="local">On-device Whisper (audio stays in the browser)</option>
+        <option value="off">Off</option>
+    </select>
+</div>
+
 <div class="settings-group">
     <label for="deepgramApiKey">Deepgram API Key (Optional)</label>
     <input type="password" id="deepgramApiKey" placeholder="Enter your Deepgram API key">
 </div>
 
+<div class="settings-group">
+    <div class="collapsible" id="transcriptionToggle">Transcription Options ▼</div>
+    <div class="collapsible-content">
+        ${transcriptionOptions('user', 'Your speech')}
+        ${transcriptionOptions('model', "Model's speech")}
+        <div class="settings-group">
+            <label for="localWhisperModel">On-device Whisper Model</label>
+            <select id="localWhisperModel">
+                <option value="onnx-community/whisper-tiny.en" selected>Whisper Tiny, English (~40 MB)</option>
+                <option value="onnx-community/whisper-base.en">Whisper Base, English (~80 MB)</option>
+                <option value="onnx-community/whisper-tiny">Whisper Tiny, multilingual (~40 MB)</option>
+                <option value="onnx-community/whisper-base">Whisper Base, multilingual (~80 MB)</option>
+            </select>
+            <label for="localWhisperHost">Model Files URL (Optional)</label>
+            <input type="text" id="localWhisperHost" placeholder="Defaults to the Hugging Face Hub">
+            <label for="localWhisperLibrary">Transformers.js URL (Optional)</label>
+            <input type="text" id="localWhisperLibrary" placeholder="Defaults to the jsDelivr CDN">
+        </div>
+        <button type="button" id="exportTranscriptBtn" class="settings-secondary-btn">Export Transcript</button>
+        <span class="settings-hint">Model, formatting, keywords and speakers apply to Deepgram, the language also to browser speech recognition and multilingual Whisper models</span>
+    </div>
+</div>
+
+<div class="settings-group">
+    <label for="model">Model</label>
+    <select id="model">
+        ${Object.entries(MODELS).map(([name, { label }]) => `<option value="${name}">${label}</option>`).join('')}
+    </select>
+    <span id="modelSessionInfo" class="settings-hint"></span>
+</div>
+
+<div class="settings-group">
+    <label for="apiVersion">API Version</label>
+    <select id="apiVersion">
+        ${API_VERSIONS.map((version) => `<option value="${version}">${version}</option>`).join('')}
+    </select>
+</div>
+
+<div class="settings-group">
+    <label for="responseModalities">Response Type</label>
+    <select id="responseModalities">
+        <option value="AUDIO">Audio</option>
+        <option value="TEXT">Text</option>
+    </select>
+</div>
+
 <div class="settings-group">
     <label for="voice">Voice</label>
     <select id="voice">
-        <option value="Puck">Puck</option>
-        <option value="Charon">Charon</option>
-        <option value="Kore">Kore</option>
-        <option value="Fenrir">Fenrir</option>
-        <option value="Aoede">Aoede</option>
+        ${allVoices.map((voice) => `<option value="${voice}">${voice}</option>`).join('')}
     </select>
 </div>
 
 <div class="settings-group">
-    <label for="sampleRate">Sample Rate</label>
+    <label>Built-in Tools</label>
+    <label class="checkbox-label"><input type="checkbox" id="googleSearch"> Google Search</label>
+    <label class="checkbox-label"><input type="checkbox" id="codeExecution"> Code Execution</label>
+</div>
+
+<div class="settings-group">
+    <label for="sampleRate">Fallback Sample Rate</label>
     <input type="range" id="sampleRate" min="8000" max="48000" step="1000">
     <span id="sampleRateValue"></span>
+    <span class="settings-hint">Only used when the server does not state the rate of its audio</span>
+</div>
+
+<div class="settings-group">
+    <label for="vadMode">Voice Activity Detection</label>
+    <select id="vadMode">
+        <option value="server">Gemini (server)</option>
+        <option value="client">Browser (client)</option>
+    </select>
+    <label class="checkbox-label vad-client-settings"><input type="checkbox" id="dropSilence"> Only send audio while you speak</label>
 </div>
 
 <div class="settings-group">
@@ -57,6 +187,15 @@ export const settingsTemplate = `
 <div class="settings-group">
     <div class="collapsible" id="advancedToggle">Advanced Settings ▼</div>
     <div class="collapsible-content">
+        <div class="settings-group">
+            <label for="customWebsocketUrl">Custom WebSocket URL (e.g. local mock server)</label>
+            <input type="text" id="customWebsocketUrl" placeholder="ws://localhost:8765">
+            <label class="checkbox-label"><input type="checkbox" id="sendApiKeyToCustomUrl"> Send my API key to this URL</label>
+        </div>
+        <div class="settings-group">
+            <label class="checkbox-label"><input type="checkbox" id="recordSession"> Record protocol sessions</label>
+            <button type="button" id="exportSessionBtn" class="settings-secondary-btn">Export Session Recording</button>
+        </div>
         <div class="settings-group">
             <label for="temperature">Temperature (0-2)</label>
             <input type="range" id="temperature" min="0" max="2" step="0.1">
@@ -0,0 +1,15 @@
+/**
+ * Lets the model write and run Python code to answer a request.
+ * Runs on Gemini's side, so it is sent as a built-in tool instead of a function declaration.
+ */
+export class CodeExecutionTool {
+    constructor() {
+        this.builtIn = true;
+    }
+
+    getToolConfig() {
+        return {
+            codeExecution: {}
+        };
+    }
+}
\ No newline at end of file
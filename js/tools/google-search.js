@@ -1,12 +1,15 @@
+/**
+ * Grounds the model's answers with Google Search.
+ * Runs on Gemini's side, so it is sent as a built-in tool instead of a function declaration.
+ */
 export class GoogleSearchTool {
-    
-    getDeclaration() {
-        return { 
-            name: 'googleSearch',
-        };
+    constructor() {
+        this.builtIn = true;
     }
 
-    execute(args) {
-        return;
+    getToolConfig() {
+        return {
+            googleSearch: {}
+        };
     }
 }
\ No newline at end of file
@@ -0,0 +1,209 @@
+/**
+ * Validation helpers for Gemini function declarations and the arguments the model sends for them.
+ * Supports the OpenAPI subset used by the Gemini API: types STRING, NUMBER, INTEGER, BOOLEAN, ARRAY and OBJECT
+ * with properties, required, items, enum, nullable, minimum/maximum and minItems/maxItems.
+ */
+
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object'];
+const FUNCTION_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_.-]{0,63}$/;
+
+/**
+ * Validates a function declaration against the Gemini function declaration schema.
+ * @param {Object} declaration - Declaration returned by a tool's getDeclaration()
+ * @returns {Array<string>} List of problems, empty when the declaration is valid
+ */
+export function validateDeclaration(declaration) {
+    if (!declaration || typeof declaration !== 'object') {
+        return ['declaration must be an object'];
+    }
+
+    const errors = [];
+    const { name, description, parameters } = declaration;
+
+    if (typeof name !== 'string' || !FUNCTION_NAME_PATTERN.test(name)) {
+        errors.push('name must start with a letter or underscore and contain at most 64 letters, digits, underscores, dots or dashes');
+    }
+    if (description !== undefined && typeof description !== 'string') {
+        errors.push('description must be a string');
+    }
+    if (parameters !== undefined) {
+        if (normalizeType(parameters?.type) !== 'object') {
+            errors.push('parameters must be a schema of type OBJECT');
+        }
+        errors.push(...validateSchemaDefinition(parameters, 'parameters'));
+    }
+
+    return errors;
+}
+
+/**
+ * Recursively checks that a schema only uses constructs the Gemini API understands.
+ * @param {Object} schema - Schema definition
+ * @param {string} path - Location of the schema inside the declaration, used in messages
+ * @returns {Array<string>} List of problems
+ */
+function validateSchemaDefinition(schema, path) {
+    if (!schema || typeof schema !== 'object') {
+        return [`${path} must be an object`];
+    }
+
+    const errors = [];
+    const type = normalizeType(schema.type);
+
+    if (!SCHEMA_TYPES.includes(type)) {
+        errors.push(`${path}.type must be one of ${SCHEMA_TYPES.map((t) => t.toUpperCase()).join(', ')}`);
+    }
+    if (schema.enum !== undefined && (!Array.isArray(schema.enum) || !schema.enum.length)) {
+        errors.push(`${path}.enum must be a non-empty array`);
+    }
+
+    if (type === 'object' && schema.properties !== undefined) {
+        if (typeof schema.properties !== 'object') {
+            errors.push(`${path}.properties must be an object`);
+        } else {
+            Object.entries(schema.properties).forEach(([key, property]) => {
+                errors.push(...validateSchemaDefinition(property, `${path}.properties.${key}`));
+            });
+        }
+    }
+    if (schema.required !== undefined) {
+        if (!Array.isArray(schema.required)) {
+            errors.push(`${path}.required must be an array`);
+        } else {
+            schema.required
+                .filter((key) => !schema.properties || !(key in schema.properties))
+                .forEach((key) => errors.push(`${path}.required lists "${key}" which is not a declared property`));
+        }
+    }
+    if (type === 'array') {
+        if (!schema.items) {
+            errors.push(`${path}.items is required for ARRAY schemas`);
+        } else {
+            errors.push(...validateSchemaDefinition(schema.items, `${path}.items`));
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validates arguments against a parameters schema and coerces loosely typed values
+ * (e.g. "42" for a NUMBER or "true" for a BOOLEAN) into the declared types.
+ * @param {Object} schema - Parameters schema of the tool
+ * @param {any} args - Arguments sent by the model
+ * @returns {{ value: any, errors: Array<{ path: string, message: string }> }} Coerced arguments and validation errors
+ */
+export function validateArgs(schema, args) {
+    const errors = [];
+    const value = coerceValue(schema, args ?? {}, '', errors);
+    return { value, errors };
+}
+
+/**
+ * Coerces a single value to its schema, collecting errors with their field paths.
+ * @param {Object} schema - Schema of the value
+ * @param {any} value - Value to validate
+ * @param {string} path - Field path of the value, empty for the root
+ * @param {Array<Object>} errors - Collected validation errors
+ * @returns {any} The coerced value
+ */
+function coerceValue(schema, value, path, errors) {
+    if (!schema) return value;
+
+    const type = normalizeType(schema.type);
+    const fieldPath = path || '(root)';
+    const fail = (message) => {
+        errors.push({ path: fieldPath, message });
+        return value;
+    };
+
+    if (value === null) {
+        return schema.nullable ? null : fail('must not be null');
+    }
+
+    switch (type) {
+        case 'string':
+            if (typeof value === 'number' || typeof value === 'boolean') {
+                value = String(value);
+            }
+            if (typeof value !== 'string') return fail('must be a string');
+            break;
+
+        case 'number':
+        case 'integer':
+            if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+                value = Number(value);
+            }
+            if (typeof value !== 'number' || !Number.isFinite(value)) return fail(`must be a ${type}`);
+            if (type === 'integer' && !Number.isInteger(value)) return fail('must be an integer');
+            if (schema.minimum !== undefined && value < schema.minimum) return fail(`must be >= ${schema.minimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) return fail(`must be <= ${schema.maximum}`);
+            break;
+
+        case 'boolean':
+            if (value === 'true' || value === 'false') {
+                value = value === 'true';
+            }
+            if (typeof value !== 'boolean') return fail('must be a boolean');
+            break;
+
+        case 'array':
+            value = parseJSONString(value);
+            if (!Array.isArray(value)) return fail('must be an array');
+            if (schema.minItems !== undefined && value.length < schema.minItems) return fail(`must contain at least ${schema.minItems} items`);
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) return fail(`must contain at most ${schema.maxItems} items`);
+            value = value.map((item, i) => coerceValue(schema.items, item, `${path}[${i}]`, errors));
+            break;
+
+        case 'object': {
+            value = parseJSONString(value);
+            if (typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+            const result = { ...value };
+            (schema.required || []).forEach((key) => {
+                if (result[key] === undefined) {
+                    errors.push({ path: joinPath(path, key), message: 'is required' });
+                }
+            });
+            Object.entries(schema.properties || {}).forEach(([key, property]) => {
+                if (result[key] !== undefined) {
+                    result[key] = coerceValue(property, result[key], joinPath(path, key), errors);
+                }
+            });
+            value = result;
+            break;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return fail(`must be one of ${schema.enum.join(', ')}`);
+    }
+
+    return value;
+}
+
+/**
+ * Normalizes Gemini (STRING) and JSON Schema (string) type names to lower case.
+ * @param {string} type - Declared type
+ * @returns {string|undefined}
+ */
+function normalizeType(type) {
+    return typeof type === 'string' ? type.toLowerCase() : undefined;
+}
+
+/**
+ * Parses JSON encoded arrays and objects that models sometimes send as strings.
+ * @param {any} value - Value to parse
+ * @returns {any} Parsed value or the original one
+ */
+function parseJSONString(value) {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+function joinPath(path, key) {
+    return path ? `${path}.${key}` : key;
+}
\ No newline at end of file
@@ -1,27 +1,73 @@
+import { validateDeclaration, validateArgs } from './schema-validator.js';
+
+// Limits applied to every tool unless overridden in registerTool()
+const DEFAULT_TOOL_OPTIONS = {
+    timeoutMs: 30000,       // Deadline for a single execution attempt
+    retries: 0,             // Additional attempts after a failure or timeout
+    retryDelayMs: 500,      // Base delay between attempts, doubled after each retry
+    maxOutputBytes: 65536,  // Maximum size of the JSON encoded output sent to the model
+    truncation: 'truncate', // 'truncate' sends a shortened output, 'error' sends an error instead
+    requiresConfirmation: false,    // Ask the user before every execution
+    confirmationTimeoutMs: 60000    // Treat an unanswered confirmation prompt as a denial
+};
+
 /**
  * Managing class where tools can be registered for easier use
  * Each tool must implement execute() and getDeclaration() methods.
+ * execute(args, { signal }) receives an AbortSignal that fires when the model cancels the call.
+ * Built-in tools (builtIn: true) run on Gemini's side and only implement getToolConfig().
  */
 
 export class ToolManager {
     /**
      * Initializes a new ToolManager instance for getting registering, getting declarations, and executing tools.
+     * @param {Object} [options]
+     * @param {number} [options.concurrency=4] - Maximum number of tools executed at the same time
+     * @param {Function} [options.onConfirmationRequest] - Asks the user to approve a sensitive tool call.
+     *   Receives { id, name, args, signal } and resolves to 'allow', 'always' or 'deny'.
      */
-    constructor() {
+    constructor({ concurrency = 4, onConfirmationRequest = null } = {}) {
         this.tools = new Map();
+        this.builtInTools = new Map();
+        this.toolOptions = new Map();
+        this.concurrency = Math.max(1, concurrency);
+        this.activeCalls = new Map(); // Function call id -> AbortController of in-flight calls
+        this.onConfirmationRequest = onConfirmationRequest;
+        this.sessionAllowedTools = new Set(); // Tools the user allowed for the rest of the session
     }
 
     /**
      * Registers a new tool in the tool registry.
      * @param {string} name - Unique identifier for the tool
      * @param {Object} toolInstance - Instance of the tool implementing required interface
+     * @param {Object} [options] - Execution limits, see DEFAULT_TOOL_OPTIONS
+     * @param {number} [options.timeoutMs] - Deadline in ms for a single execution attempt
+     * @param {number} [options.retries] - Additional attempts after a failure or timeout
+     * @param {number} [options.retryDelayMs] - Base delay in ms between attempts
+     * @param {number} [options.maxOutputBytes] - Maximum size of the JSON encoded output
+     * @param {'truncate'|'error'} [options.truncation] - What to do with outputs above maxOutputBytes
+     * @param {boolean} [options.requiresConfirmation] - Whether the user must approve each call
+     * @param {number} [options.confirmationTimeoutMs] - Time in ms the user has to answer the confirmation prompt
+     * @throws {Error} When the tool's declaration does not match the Gemini function declaration schema
      */
-    registerTool(name, toolInstance) {
-        if (this.tools.has(name)) {
+    registerTool(name, toolInstance, options = {}) {
+        if (this.tools.has(name) || this.builtInTools.has(name)) {
             console.warn(`Tool ${name} is already registered`);
             return;
         }
+        if (toolInstance.builtIn) {
+            this.builtInTools.set(name, toolInstance);
+            console.info(`Built-in tool ${name} registered successfully`);
+            return;
+        }
+        if (toolInstance.getDeclaration) {
+            const errors = validateDeclaration(toolInstance.getDeclaration());
+            if (errors.length) {
+                throw new Error(`Invalid declaration for tool ${name}: ${errors.join('; ')}`);
+            }
+        }
         this.tools.set(name, toolInstance);
+        this.toolOptions.set(name, { ...DEFAULT_TOOL_OPTIONS, ...options });
         console.info(`Tool ${name} registered successfully`);
     }
 
@@ -43,31 +89,342 @@ export class ToolManager {
         return allDeclarations;
     }
 
+    /**
+     * Builds the tools section of the setup message: one entry with all function declarations
+     * followed by one entry per built-in tool, e.g. [{ functionDeclarations }, { googleSearch: {} }].
+     * @returns {Array<Object>} Tools for the setup configuration
+     */
+    getToolsConfig() {
+        const toolsConfig = [];
+        const functionDeclarations = this.getToolDeclarations();
+
+        if (functionDeclarations.length) {
+            toolsConfig.push({ functionDeclarations });
+        }
+        this.builtInTools.forEach((tool) => {
+            toolsConfig.push(tool.getToolConfig());
+        });
+
+        return toolsConfig;
+    }
+
     /**
      * Parses tool arguments and runs execute() method of the requested tool.
+     * Responses of calls cancelled while running are flagged with cancelled: true and must not be sent.
      * @param {Object} functionCall - Function call specification
      */
     async handleToolCall(functionCall) {
         const { name, args, id } = functionCall;
+        const controller = this.activeCalls.get(id) || new AbortController();
+        this.activeCalls.set(id, controller);
+
+        if (controller.signal.aborted) {
+            this.activeCalls.delete(id);
+            console.info(`Skipping cancelled tool call: ${name}`);
+            return { output: null, id: id, name: name, error: null, cancelled: true };
+        }
+
         console.info(`Handling tool call: ${name}`, { args });
 
+        // Tell the model what went wrong so it can correct the call
         const tool = this.tools.get(name);
+        if (!tool) {
+            this.activeCalls.delete(id);
+            console.warn(`Model called unknown tool: ${name}`);
+            return {
+                output: null,
+                id: id,
+                name: name,
+                error: {
+                    code: 'UNKNOWN_TOOL',
+                    message: `Tool "${name}" does not exist`,
+                    availableTools: [...this.tools.keys()]
+                },
+                cancelled: false
+            };
+        }
+
+        const { value: validArgs, errors } = validateArgs(tool.getDeclaration?.().parameters, args);
+        if (errors.length) {
+            this.activeCalls.delete(id);
+            console.warn(`Invalid arguments for tool ${name}`, errors);
+            return {
+                output: null,
+                id: id,
+                name: name,
+                error: {
+                    code: 'INVALID_ARGUMENTS',
+                    message: `Invalid arguments for tool "${name}"`,
+                    details: errors
+                },
+                cancelled: false
+            };
+        }
+
+        const options = this.toolOptions.get(name);
         try {
-            const result = await tool.execute(args);
+            if (options.requiresConfirmation) {
+                await this.confirmToolCall(id, name, validArgs, controller.signal, options);
+            }
+            const result = await this.executeWithRetries(name, tool, validArgs, controller.signal, options);
+            const { output, error } = this.limitOutput(name, result, options);
             return {
-                output: result,
+                output: output,
                 id: id,
-                error: null
+                name: name,
+                error: error,
+                cancelled: controller.signal.aborted
             }
 
         } catch (error) {
-            console.error(`Tool execution failed: ${name}`, error);
+            if (controller.signal.aborted) {
+                console.info(`Tool call cancelled: ${name}`);
+            } else {
+                console.error(`Tool execution failed: ${name}`, error);
+            }
             return {
                 output: null,
                 id: id,
-                error: error.message
+                name: name,
+                error: error.details || error.message,
+                cancelled: controller.signal.aborted
             };
+        } finally {
+            this.activeCalls.delete(id);
+        }
+    }
+
+    /**
+     * Asks the user to approve a call of a sensitive tool.
+     * @param {string} id - Identifier of the function call
+     * @param {string} name - Name of the tool
+     * @param {Object} args - Validated arguments
+     * @param {AbortSignal} signal - Signal of the function call, aborted on cancellation
+     * @param {Object} options - Execution limits of the tool
+     * @throws {Error} With error details when the user declines, does not answer in time or cannot be asked
+     */
+    async confirmToolCall(id, name, args, signal, options) {
+        if (this.sessionAllowedTools.has(name)) return;
+
+        const deny = (code, message) => {
+            const error = new Error(message);
+            error.details = { code, message };
+            return error;
+        };
+
+        if (!this.onConfirmationRequest) {
+            throw deny('CONFIRMATION_UNAVAILABLE', `Tool "${name}" requires user confirmation but no one can be asked`);
+        }
+
+        // Aborted when the prompt expires or the model cancels the call, so the UI can withdraw it
+        const promptController = new AbortController();
+        const onAbort = () => promptController.abort(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+        const timer = setTimeout(() => promptController.abort(), options.confirmationTimeoutMs);
+
+        try {
+            console.info(`Waiting for user confirmation of tool call: ${name}`);
+            const decision = await Promise.race([
+                this.onConfirmationRequest({ id, name, args, signal: promptController.signal }),
+                new Promise((resolve) => promptController.signal.addEventListener('abort', () => resolve(null), { once: true }))
+            ]);
+
+            if (signal.aborted) throw signal.reason;
+            if (decision === 'always') {
+                this.sessionAllowedTools.add(name);
+            } else if (decision === null) {
+                throw deny('CONFIRMATION_TIMEOUT', `The user did not confirm tool "${name}" within ${options.confirmationTimeoutMs} ms`);
+            } else if (decision !== 'allow') {
+                throw deny('DENIED_BY_USER', `The user declined to run tool "${name}"`);
+            }
+        } finally {
+            clearTimeout(timer);
+            signal.removeEventListener('abort', onAbort);
+            promptController.abort();
         }
     }
 
+    /**
+     * Executes a tool, retrying failed or timed out attempts with exponential backoff.
+     * @param {string} name - Name of the tool
+     * @param {Object} tool - Tool instance
+     * @param {Object} args - Validated arguments
+     * @param {AbortSignal} signal - Signal of the function call, aborted on cancellation
+     * @param {Object} options - Execution limits of the tool
+     * @returns {Promise<any>} Result of the first successful attempt
+     */
+    async executeWithRetries(name, tool, args, signal, options) {
+        const attempts = options.retries + 1;
+
+        for (let attempt = 1; ; attempt++) {
+            // The call may have been cancelled during the backoff
+            if (signal.aborted) throw signal.reason;
+            try {
+                return await this.executeWithTimeout(name, tool, args, signal, options.timeoutMs);
+            } catch (error) {
+                if (signal.aborted || attempt >= attempts) {
+                    if (error.details) {
+                        error.details.attempts = attempt;
+                    }
+                    throw error;
+                }
+                const delay = options.retryDelayMs * 2 ** (attempt - 1);
+                console.warn(`Tool ${name} failed (attempt ${attempt} of ${attempts}), retrying in ${delay} ms`, error);
+                await new Promise((resolve) => {
+                    const wake = () => {
+                        clearTimeout(timer);
+                        signal.removeEventListener('abort', wake);
+                        resolve();
+                    };
+                    const timer = setTimeout(wake, delay);
+                    signal.addEventListener('abort', wake, { once: true });
+                });
+            }
+        }
+    }
+
+    /**
+     * Runs a single execution attempt and rejects once the deadline passes or the call is cancelled,
+     * even if the tool ignores its AbortSignal.
+     * @param {string} name - Name of the tool
+     * @param {Object} tool - Tool instance
+     * @param {Object} args - Validated arguments
+     * @param {AbortSignal} signal - Signal of the function call
+     * @param {number} timeoutMs - Deadline of the attempt
+     * @returns {Promise<any>} Result of the tool
+     */
+    async executeWithTimeout(name, tool, args, signal, timeoutMs) {
+        // Each attempt gets its own signal so a timed out attempt can be aborted without cancelling the call
+        const attemptController = new AbortController();
+        let timer = null;
+        let onAbort = null;
+
+        const deadline = new Promise((_, reject) => {
+            onAbort = () => {
+                attemptController.abort(signal.reason);
+                reject(signal.reason);
+            };
+            signal.addEventListener('abort', onAbort, { once: true });
+
+            if (timeoutMs > 0) {
+                timer = setTimeout(() => {
+                    const error = new Error(`Tool "${name}" did not finish within ${timeoutMs} ms`);
+                    error.details = { code: 'TIMEOUT', message: error.message, timeoutMs };
+                    attemptController.abort(error);
+                    reject(error);
+                }, timeoutMs);
+            }
+        });
+
+        try {
+            const execution = Promise.resolve().then(() => tool.execute(args, { signal: attemptController.signal }));
+            return await Promise.race([execution, deadline]);
+        } finally {
+            clearTimeout(timer);
+            signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Applies the maxOutputBytes limit to a tool result.
+     * @param {string} name - Name of the tool
+     * @param {any} result - Result returned by the tool
+     * @param {Object} options - Execution limits of the tool
+     * @returns {{ output: any, error: Object|null }} Output to send, or an error when the output is rejected
+     */
+    limitOutput(name, result, options) {
+        const { maxOutputBytes, truncation } = options;
+        if (!maxOutputBytes || result === undefined) {
+            return { output: result, error: null };
+        }
+
+        const serialized = typeof result === 'string' ? result : JSON.stringify(result);
+        const bytes = new TextEncoder().encode(serialized);
+        if (bytes.length <= maxOutputBytes) {
+            return { output: result, error: null };
+        }
+
+        console.warn(`Output of tool ${name} is ${bytes.length} bytes, limit is ${maxOutputBytes} bytes`);
+        if (truncation === 'error') {
+            return {
+                output: null,
+                error: {
+                    code: 'OUTPUT_TOO_LARGE',
+                    message: `Output of tool "${name}" is ${bytes.length} bytes which exceeds the limit of ${maxOutputBytes} bytes`,
+                    outputBytes: bytes.length,
+                    maxOutputBytes
+                }
+            };
+        }
+
+        // Cut at the byte limit, dropping a multi-byte character that was split in half
+        const content = new TextDecoder().decode(bytes.slice(0, maxOutputBytes)).replace(/\uFFFD$/, '');
+        return {
+            output: {
+                truncated: true,
+                originalBytes: bytes.length,
+                content: content
+            },
+            error: null
+        };
+    }
+
+    /**
+     * Aborts in-flight or queued tool calls, e.g. after the model received a toolCallCancellation.
+     * @param {Array<string>} ids - Identifiers of the function calls to cancel
+     */
+    cancelToolCalls(ids) {
+        ids.forEach((id) => {
+            const controller = this.activeCalls.get(id);
+            if (controller) {
+                controller.abort(new Error('Tool call was cancelled by the model'));
+                console.info(`Cancelled tool call ${id}`);
+            }
+        });
+    }
+
+    /**
+     * Forgets the tools the user allowed for the rest of the session, called when a session ends or starts.
+     */
+    resetSession() {
+        this.sessionAllowedTools.clear();
+    }
+
+    /**
+     * Runs all function calls of a tool call concurrently, limited by the configured concurrency.
+     * A failing call is reported as an error response without affecting the others.
+     * @param {Array<Object>} functionCalls - Function call specifications from toolCall.functionCalls
+     * @returns {Promise<Array<Object>>} Responses in the same order as the function calls
+     */
+    async handleToolCalls(functionCalls) {
+        const responses = new Array(functionCalls.length);
+        let nextIndex = 0;
+
+        // Register all calls up front so queued ones can be cancelled before they start
+        functionCalls.forEach(({ id }) => this.activeCalls.set(id, new AbortController()));
+
+        const worker = async () => {
+            while (nextIndex < functionCalls.length) {
+                const index = nextIndex++;
+                const functionCall = functionCalls[index];
+                try {
+                    responses[index] = await this.handleToolCall(functionCall);
+                } catch (error) {
+                    console.error(`Tool call failed: ${functionCall.name}`, error);
+                    responses[index] = {
+                        output: null,
+                        id: functionCall.id,
+                        name: functionCall.name,
+                        error: error.message,
+                        cancelled: false
+                    };
+                }
+            }
+        };
+
+        const workerCount = Math.min(this.concurrency, functionCalls.length);
+        await Promise.all(Array.from({ length: workerCount }, worker));
+        return responses;
+    }
+
 }
\ No newline at end of file
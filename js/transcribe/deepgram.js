@@ -3,60 +3,161 @@
  * for real-time audio transcription
  * Utilizes Free Tier of Deepgram API
  */
-export class DeepgramTranscriber {
-    constructor(apiKey, sampleRate) {
+import { Transcriber } from './transcriber.js';
+
+export class DeepgramTranscriber extends Transcriber {
+    /**
+     * @param {string} apiKey - Deepgram API key
+     * @param {number} sampleRate - Sample rate of the PCM16 audio in Hz
+     * @param {Object} [options]
+     * @param {string} [options.language='en-US'] - Language code, or 'auto' to detect it with Nova models
+     * @param {string} [options.model='nova-2'] - Deepgram model
+     * @param {boolean} [options.punctuate=true] - Add punctuation and capitalization
+     * @param {boolean} [options.smartFormat=false] - Format numbers, dates and similar entities
+     * @param {Array<string>} [options.keywords=[]] - Words to recognize more reliably, e.g. names
+     * @param {boolean} [options.diarize=false] - Tell speakers apart, words carry the speaker's number
+     * @param {boolean} [options.reconnect=true] - Reconnect when the connection drops
+     * @param {number} [options.maxReconnectAttempts=5] - Attempts before giving up
+     * @param {number} [options.initialReconnectDelay=500] - Delay of the first attempt in ms, doubled for each further one
+     * @param {number} [options.maxReconnectDelay=10000] - Upper bound of the delay in ms
+     * @param {number} [options.maxBacklogSeconds=30] - Audio kept during an outage, older audio is dropped
+     */
+    constructor(apiKey, sampleRate, {
+        language = 'en-US',
+        model = 'nova-2',
+        punctuate = true,
+        smartFormat = false,
+        keywords = [],
+        diarize = false,
+        reconnect = true,
+        maxReconnectAttempts = 5,
+        initialReconnectDelay = 500,
+        maxReconnectDelay = 10000,
+        maxBacklogSeconds = 30
+    } = {}) {
+        super();
         this.apiKey = apiKey;
         this.ws = null;
-        this.isConnected = false;
-        this.eventListeners = new Map();
         this.sampleRate = sampleRate;
+        this.options = { language, model, punctuate, smartFormat, keywords, diarize };
+        this.reconnectOptions = { reconnect, maxReconnectAttempts, initialReconnectDelay, maxReconnectDelay, maxBacklogSeconds };
+        this.keepAliveInterval = null;
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+
+        // Audio passed to sendAudio() while the connection is down, flushed on reconnect
+        this.backlog = [];              // { data, position } with position in seconds of audio sent since connect()
+        this.backlogBytes = 0;
+        this.sentSeconds = 0;           // Audio passed to sendAudio() since connect()
+        this.streamOffset = 0;          // Where the current Deepgram stream starts, its timestamps restart at 0
         console.info('DeepgramTranscriber initialized');
     }
 
+    /**
+     * Opens the connection, resolves once Deepgram accepted it.
+     * @throws {Error} When the first connection cannot be established
+     */
     async connect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectAttempts = 0;
+        this.backlog = [];
+        this.backlogBytes = 0;
+        this.sentSeconds = 0;
+        this.streamOffset = 0;
+
         try {
-            const url = `wss://api.deepgram.com/v1/listen?encoding=linear16&sample_rate=${this.sampleRate}`;
-            console.info('Attempting to connect to Deepgram WebSocket...');
-            
-            // Create WebSocket with authorization in protocol
-            this.ws = new WebSocket(url, ['token', this.apiKey]);
-            this.ws.binaryType = 'arraybuffer';
-
-            this.ws.onopen = () => {
+            await this.openSocket();
+            this.setHealth('healthy');
+            this.emit('connected');
+        } catch (error) {
+            console.error('Error in connect():', error);
+            this.setHealth('failed', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Opens a Deepgram stream.
+     * @returns {Promise<void>} Resolves when the socket is open, rejects when it closes before
+     */
+    openSocket() {
+        const { language, model, punctuate, smartFormat, keywords, diarize } = this.options;
+        // 'multi' transcribes any supported language, also when speakers switch languages, but only Nova models
+        // support it. The handshake of other models fails with it, they fall back to their default language instead
+        const detectsLanguage = model.startsWith('nova-2') || model.startsWith('nova-3');
+        if (language === 'auto' && !detectsLanguage) {
+            console.warn(`Deepgram model ${model} cannot detect the language, using its default language`);
+        }
+        const features = {
+            model,
+            ...(language !== 'auto' ? { language } : detectsLanguage && { language: 'multi' }),
+            encoding: 'linear16',
+            sample_rate: this.sampleRate,
+            channels: 1,
+            interim_results: true,
+            punctuate,
+            smart_format: smartFormat,
+            diarize,
+            endpointing: 800
+        };
+        // Deepgram reads streaming options from the URL, Nova 3 calls boosted keywords key terms
+        const params = new URLSearchParams(features);
+        keywords.forEach((keyword) => params.append(model.startsWith('nova-3') ? 'keyterm' : 'keywords', keyword));
+        const url = `wss://api.deepgram.com/v1/listen?${params}`;
+        console.info('Attempting to connect to Deepgram WebSocket...');
+
+        // Create WebSocket with authorization in protocol
+        const ws = new WebSocket(url, ['token', this.apiKey]);
+        ws.binaryType = 'arraybuffer';
+        this.ws = ws;
+
+        return new Promise((resolve, reject) => {
+            let opened = false;
+
+            ws.onopen = () => {
+                opened = true;
                 this.isConnected = true;
                 console.info('WebSocket connection established');
-                
+
                 const config = {
                     type: 'Configure',
-                    features: {
-                        model: 'nova-2',
-                        language: 'en-US',
-                        encoding: 'linear16',
-                        sample_rate: this.sampleRate,
-                        channels: 1,
-                        interim_results: false,
-                        punctuate: true,
-                        endpointing: 800
-                    },
+                    features,
                 };
-                
+
                 console.debug('Sending configuration:', config);
-                this.ws.send(JSON.stringify(config));
-                this.emit('connected');
+                ws.send(JSON.stringify(config));
+
+                // Deepgram closes idle streams, e.g. while the model is silent
+                clearInterval(this.keepAliveInterval);
+                this.keepAliveInterval = setInterval(() => {
+                    if (this.isConnected) {
+                        ws.send(JSON.stringify({ type: 'KeepAlive' }));
+                        console.debug('Sent keep-alive message to Deepgram');
+                    }
+                }, 10000);
+
+                this.flushBacklog();
+                resolve();
             };
 
-            this.ws.onmessage = (event) => {
+            ws.onmessage = (event) => {
                 try {
                     // console.debug('Received WebSocket message:', event.data);
                     const response = JSON.parse(event.data);
                     if (response.type === 'Results') {
-                        const transcript = response.channel?.alternatives[0]?.transcript;
+                        const alternative = response.channel?.alternatives[0];
+                        const transcript = alternative?.transcript;
 
                         if (transcript) {
-                            // console.debug('Received transcript:', transcript);
-                            this.emit('transcription', transcript);
-                        } else {
-                            // console.warn('Received Results message but no transcript found:', response);
+                            // Word timestamps restart with every stream, report them relative to connect()
+                            const words = (alternative.words || []).map((word) => ({
+                                word: word.punctuated_word || word.word,
+                                start: word.start + this.streamOffset,
+                                end: word.end + this.streamOffset,
+                                ...(word.speaker !== undefined && { speaker: word.speaker })
+                            }));
+                            // Results are provisional until Deepgram marks the segment as final
+                            this.emit(response.is_final === false ? 'interim' : 'transcription', transcript, words);
                         }
 
                     } else {
@@ -69,50 +170,134 @@ export class DeepgramTranscriber {
                 }
             };
 
-            this.ws.onerror = (error) => {
+            ws.onerror = (error) => {
                 console.error('WebSocket error:', error);
                 this.emit('error', error);
             };
 
-            this.ws.onclose = () => {
+            ws.onclose = (event) => {
+                if (ws !== this.ws) return;
                 console.info('WebSocket connection closed');
                 this.isConnected = false;
+                clearInterval(this.keepAliveInterval);
+                this.keepAliveInterval = null;
+
+                if (!opened) {
+                    reject(new Error(`Deepgram closed the connection before it was established (code: ${event.code})`));
+                    return;
+                }
                 this.emit('disconnected');
+                this.scheduleReconnect(`Connection closed (code: ${event.code})`);
             };
+        });
+    }
 
-        } catch (error) {
-            console.error('Error in connect():', error);
-            throw error;
+    /**
+     * Tries to restore a dropped connection with exponential backoff.
+     * Audio sent in the meantime is kept in the backlog.
+     * @param {string} reason - Why the connection was lost
+     */
+    scheduleReconnect(reason) {
+        const { reconnect, maxReconnectAttempts, initialReconnectDelay, maxReconnectDelay } = this.reconnectOptions;
+        if (this.health === 'stopped') return;
+        if (!reconnect || this.reconnectAttempts >= maxReconnectAttempts) {
+            console.error(`Deepgram transcriber gave up reconnecting: ${reason}`);
+            this.backlog = [];
+            this.backlogBytes = 0;
+            this.setHealth('failed', reason);
+            return;
+        }
+
+        this.reconnectAttempts++;
+        const delay = Math.min(initialReconnectDelay * 2 ** (this.reconnectAttempts - 1), maxReconnectDelay);
+        console.warn(`Deepgram connection lost, reconnecting in ${delay} ms (attempt ${this.reconnectAttempts})`);
+        this.setHealth('degraded', reason);
+
+        this.reconnectTimer = setTimeout(async () => {
+            try {
+                await this.openSocket();
+                console.info('Deepgram connection restored');
+                this.reconnectAttempts = 0;
+                this.setHealth('healthy');
+            } catch (error) {
+                this.scheduleReconnect(error.message);
+            }
+        }, delay);
+    }
+
+    /**
+     * Sends the audio kept during an outage, the new stream's clock starts with it.
+     */
+    flushBacklog() {
+        this.streamOffset = this.backlog.length ? this.backlog[0].position : this.sentSeconds;
+        if (this.backlog.length) {
+            console.info(`Sending ${this.backlog.length} audio chunks buffered during the outage`);
         }
+        this.backlog.forEach(({ data }) => this.ws.send(data));
+        this.backlog = [];
+        this.backlogBytes = 0;
+    }
+
+    /**
+     * Deepgram reads the sample rate when the stream opens, an open stream is replaced by one with the new rate.
+     * Audio sent in the meantime is kept in the backlog.
+     * @param {number} sampleRate - Sample rate in Hz
+     */
+    setSampleRate(sampleRate) {
+        if (sampleRate === this.sampleRate) return;
+        console.info(`Deepgram sample rate changed from ${this.sampleRate} to ${sampleRate} Hz`);
+        this.sampleRate = sampleRate;
+        if (!this.isConnected) return; // The next connection uses the new rate
+
+        const ws = this.ws;
+        this.ws = null; // Closing the old stream is not an outage
+        this.isConnected = false;
+        clearInterval(this.keepAliveInterval);
+        ws.send(JSON.stringify({ type: 'CloseStream' }));
+        ws.close();
+
+        this.openSocket().catch((error) => this.scheduleReconnect(error.message));
     }
 
     sendAudio(audioData) {
-        if (!this.isConnected) {
+        if (!this.isActive) {
             throw new Error('WebSocket is not connected');
         }
-        this.ws.send(audioData);
-    }
 
-    disconnect() {
-        if (this.ws) {
-            this.ws.send(JSON.stringify({ type: 'CloseStream' }));
-            this.ws.close();
-            this.ws = null;
-            this.isConnected = false;
+        const position = this.sentSeconds;
+        this.sentSeconds += audioData.byteLength / 2 / this.sampleRate;
+
+        if (this.isConnected) {
+            this.ws.send(audioData);
+            return;
         }
-    }
 
-    on(eventName, callback) {
-        if (!this.eventListeners.has(eventName)) {
-            this.eventListeners.set(eventName, []);
+        // Keep the latest audio while reconnecting
+        this.backlog.push({ data: audioData, position });
+        this.backlogBytes += audioData.byteLength;
+        const maxBytes = this.reconnectOptions.maxBacklogSeconds * this.sampleRate * 2;
+        while (this.backlogBytes > maxBytes && this.backlog.length > 1) {
+            this.backlogBytes -= this.backlog.shift().data.byteLength;
         }
-        this.eventListeners.get(eventName).push(callback);
     }
 
-    emit(eventName, data) {
-        const listeners = this.eventListeners.get(eventName);
-        if (listeners) {
-            listeners.forEach(callback => callback(data));
+    disconnect() {
+        this.setHealth('stopped');
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        clearInterval(this.keepAliveInterval);
+        this.keepAliveInterval = null;
+        this.backlog = [];
+        this.backlogBytes = 0;
+        if (this.ws) {
+            const ws = this.ws;
+            this.ws = null;
+            if (this.isConnected) {
+                ws.send(JSON.stringify({ type: 'CloseStream' }));
+            }
+            ws.close();
+            this.isConnected = false;
+            this.emit('disconnected');
         }
     }
 }
\ No newline at end of file
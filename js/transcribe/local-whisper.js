@@ -0,0 +1,325 @@
+/**
+ * Transcribes on the device with a Whisper model running as WASM in a Web Worker,
+ * so no audio is sent to a transcription service.
+ * Audio is cut into utterances at pauses and each utterance is transcribed as a whole,
+ * transcripts therefore arrive in chunks after the speaker paused.
+ */
+import { Transcriber } from './transcriber.js';
+
+const WHISPER_SAMPLE_RATE = 16000;
+const DEFAULT_LIBRARY_URL = 'https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.0.2';
+
+/**
+ * Whisper worker shared by the transcribers that use the same model, so the model and the WASM runtime
+ * are loaded once for both sides of the conversation. The worker is terminated when its last transcriber leaves.
+ */
+class SharedWhisperWorker {
+    static instances = new Map(); // Model, library and host -> SharedWhisperWorker
+
+    /**
+     * Joins the worker for the given model, starting and loading it if no transcriber uses it yet.
+     * @param {Object} options - model, libraryUrl and modelHost
+     * @param {Function} onMessage - Receives the worker's messages addressed to this transcriber
+     * @returns {{ ready: Promise, post: Function, release: Function }} Handle of the transcriber
+     */
+    static acquire(options, onMessage) {
+        const key = JSON.stringify([options.model, options.libraryUrl, options.modelHost]);
+        let shared = SharedWhisperWorker.instances.get(key);
+        if (!shared) {
+            shared = new SharedWhisperWorker(key, options);
+            SharedWhisperWorker.instances.set(key, shared);
+        }
+        return shared.join(onMessage);
+    }
+
+    constructor(key, options) {
+        this.key = key;
+        this.options = options;
+        this.clients = new Map();   // Client id -> message listener
+        this.nextClientId = 0;
+        this.worker = new Worker(new URL('./whisper.worker.js', import.meta.url), { type: 'module' });
+        this.ready = new Promise((resolve, reject) => {
+            this.loading = { resolve, reject };
+            this.worker.onerror = (event) => reject(new Error(event.message || 'Whisper worker failed to start'));
+            this.worker.onmessage = ({ data }) => this.onMessage(data);
+            const { model, libraryUrl, modelHost } = options;
+            this.worker.postMessage({ type: 'load', model, libraryUrl, modelHost });
+        });
+
+        this.ready.then(() => {
+            this.worker.onerror = (event) => {
+                console.error('Whisper worker error:', event.message);
+                this.clients.forEach((listener) => listener({ type: 'error', message: event.message }));
+            };
+            console.info(`Whisper model ${options.model} loaded`);
+        }, () => this.terminate());
+    }
+
+    join(onMessage) {
+        const client = this.nextClientId++;
+        this.clients.set(client, onMessage);
+        return {
+            ready: this.ready,
+            post: (message, transfer) => this.worker.postMessage({ ...message, client }, transfer),
+            release: () => {
+                this.clients.delete(client);
+                if (!this.clients.size) this.terminate();
+            }
+        };
+    }
+
+    onMessage(data) {
+        switch (data.type) {
+            case 'progress':
+                console.debug(`Downloading ${data.file}: ${Math.round(data.progress)}%`);
+                break;
+            case 'ready':
+                this.loading.resolve();
+                break;
+            default:
+                if (data.client === undefined) {
+                    this.loading.reject(new Error(data.message));
+                } else {
+                    this.clients.get(data.client)?.(data);
+                }
+        }
+    }
+
+    terminate() {
+        this.worker.terminate();
+        // A failed load is retried with a new worker by the next transcriber that connects
+        if (SharedWhisperWorker.instances.get(this.key) === this) {
+            SharedWhisperWorker.instances.delete(this.key);
+        }
+    }
+}
+
+export class LocalWhisperTranscriber extends Transcriber {
+    /**
+     * @param {number} sampleRate - Sample rate of the PCM16 audio in Hz, resampled to 16 kHz for Whisper
+     * @param {Object} [options]
+     * @param {string} [options.model='onnx-community/whisper-tiny.en'] - Whisper model in the ONNX format
+     * @param {string} [options.language='en-US'] - Language code, or 'auto' to detect it. Ignored by English-only models
+     * @param {string} [options.libraryUrl] - Root of the @huggingface/transformers package, defaults to the jsDelivr CDN
+     * @param {string} [options.modelHost] - Base URL of self-hosted model files, defaults to the Hugging Face Hub
+     * @param {number} [options.silenceThreshold=0.01] - RMS level below which audio counts as silence
+     * @param {number} [options.pauseSeconds=0.6] - Silence that ends an utterance
+     * @param {number} [options.maxChunkSeconds=15] - Longest utterance before it is transcribed anyway, Whisper takes up to 30 s
+     * @param {number} [options.maxPendingChunks=3] - Chunks waiting for the model before health turns 'degraded'
+     */
+    constructor(sampleRate, {
+        model = 'onnx-community/whisper-tiny.en',
+        language = 'en-US',
+        libraryUrl,
+        modelHost = '',
+        silenceThreshold = 0.01,
+        pauseSeconds = 0.6,
+        maxChunkSeconds = 15,
+        maxPendingChunks = 3
+    } = {}) {
+        super();
+        this.sampleRate = sampleRate;
+        this.options = { model, language, libraryUrl: libraryUrl || DEFAULT_LIBRARY_URL, modelHost };
+        this.chunking = { silenceThreshold, pauseSeconds, maxChunkSeconds, maxPendingChunks };
+        this.worker = null;
+
+        this.chunk = [];                // Float32Arrays at 16 kHz of the current utterance
+        this.chunkSamples = 0;
+        this.chunkStart = 0;            // Position of the utterance in seconds of audio sent since connect()
+        this.silentSamples = 0;         // Trailing silence of the utterance
+        this.hasSpeech = false;
+        this.sentSeconds = 0;
+        this.pending = new Map();       // id -> { start, duration } of chunks sent to the worker
+        this.nextChunkId = 0;
+        console.info('LocalWhisperTranscriber initialized');
+    }
+
+    /**
+     * Whether the browser can run the model.
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' && typeof WebAssembly !== 'undefined';
+    }
+
+    /**
+     * Joins the Whisper worker, starting it and loading the model if the other side has not already,
+     * the first load downloads the model.
+     * @throws {Error} When the model cannot be loaded
+     */
+    async connect() {
+        this.resetChunk(0);
+        this.sentSeconds = 0;
+        this.pending.clear();
+
+        const { model, libraryUrl, modelHost } = this.options;
+        this.worker = SharedWhisperWorker.acquire({ model, libraryUrl, modelHost }, (data) => this.onWorkerMessage(data));
+        try {
+            await this.worker.ready;
+        } catch (error) {
+            console.error('Error loading the Whisper model:', error);
+            this.worker.release();
+            this.worker = null;
+            this.setHealth('failed', error.message);
+            throw error;
+        }
+
+        this.isConnected = true;
+        this.setHealth('healthy');
+        this.emit('connected');
+    }
+
+    onWorkerMessage(data) {
+        switch (data.type) {
+            case 'result': {
+                const chunk = this.pending.get(data.id);
+                this.pending.delete(data.id);
+                this.updateBacklogHealth();
+                if (!data.text || !chunk) break;
+
+                const { start, duration } = chunk;
+                const words = data.words
+                    ? data.words.map((word) => ({ ...word, start: word.start + start, end: word.end + start }))
+                    : this.estimateWordTimings(data.text, start, duration);
+                this.emit('transcription', data.text, words);
+                break;
+            }
+            case 'error':
+                this.pending.delete(data.id);
+                this.updateBacklogHealth();
+                console.error('Whisper transcription error:', data.message);
+                this.emit('error', new Error(data.message));
+                break;
+        }
+    }
+
+    /**
+     * Spreads the words of a chunk over its duration by their length, for models without word timestamps.
+     * @param {string} text - Transcript of the chunk
+     * @param {number} start - Start of the chunk in seconds
+     * @param {number} duration - Length of the chunk in seconds
+     * @returns {Array<{word: string, start: number, end: number}>}
+     */
+    estimateWordTimings(text, start, duration) {
+        const words = text.split(/\s+/).filter(Boolean);
+        const secondsPerCharacter = duration / words.reduce((sum, word) => sum + word.length, 0);
+        let time = start;
+        return words.map((word) => {
+            const end = time + word.length * secondsPerCharacter;
+            const timing = { word, start: time, end };
+            time = end;
+            return timing;
+        });
+    }
+
+    sendAudio(audioData) {
+        if (!this.isActive) {
+            throw new Error('Whisper model is not loaded');
+        }
+
+        const samples = this.toWhisperSamples(audioData);
+        this.sentSeconds += audioData.byteLength / 2 / this.sampleRate;
+        if (!samples.length) return;
+
+        let sum = 0;
+        for (let i = 0; i < samples.length; i++) {
+            sum += samples[i] * samples[i];
+        }
+        const isSilent = Math.sqrt(sum / samples.length) < this.chunking.silenceThreshold;
+
+        // Leading silence is dropped, Whisper tends to hallucinate words in it
+        if (!this.hasSpeech && isSilent) {
+            this.resetChunk(this.sentSeconds);
+            return;
+        }
+
+        this.chunk.push(samples);
+        this.chunkSamples += samples.length;
+        this.hasSpeech = true;
+        this.silentSamples = isSilent ? this.silentSamples + samples.length : 0;
+
+        const { pauseSeconds, maxChunkSeconds } = this.chunking;
+        if (this.silentSamples >= pauseSeconds * WHISPER_SAMPLE_RATE || this.chunkSamples >= maxChunkSeconds * WHISPER_SAMPLE_RATE) {
+            this.flushChunk();
+        }
+    }
+
+    /**
+     * Sends the current utterance to the worker.
+     */
+    flushChunk() {
+        const audio = new Float32Array(this.chunkSamples);
+        let offset = 0;
+        this.chunk.forEach((samples) => {
+            audio.set(samples, offset);
+            offset += samples.length;
+        });
+
+        const id = this.nextChunkId++;
+        // The pause that ended the utterance holds no words
+        this.pending.set(id, { start: this.chunkStart, duration: (audio.length - this.silentSamples) / WHISPER_SAMPLE_RATE });
+        this.worker.post({ type: 'transcribe', id, audio, language: this.options.language }, [audio.buffer]);
+        this.updateBacklogHealth();
+        this.resetChunk(this.sentSeconds);
+    }
+
+    resetChunk(start) {
+        this.chunk = [];
+        this.chunkSamples = 0;
+        this.chunkStart = start;
+        this.silentSamples = 0;
+        this.hasSpeech = false;
+    }
+
+    /**
+     * Reports 'degraded' while the device cannot keep up with the speech.
+     */
+    updateBacklogHealth() {
+        if (!this.isActive) return;
+        if (this.pending.size > this.chunking.maxPendingChunks) {
+            this.setHealth('degraded', 'On-device transcription is falling behind');
+        } else {
+            this.setHealth('healthy');
+        }
+    }
+
+    /**
+     * Converts PCM16 to Float32 samples at 16 kHz.
+     * @param {ArrayBuffer|Uint8Array} audioData - PCM16 little endian audio
+     * @returns {Float32Array}
+     */
+    toWhisperSamples(audioData) {
+        const bytes = audioData instanceof ArrayBuffer ? new Uint8Array(audioData) : audioData;
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const input = new Float32Array(Math.floor(bytes.byteLength / 2));
+        for (let i = 0; i < input.length; i++) {
+            input[i] = view.getInt16(i * 2, true) / 32768;
+        }
+        if (this.sampleRate === WHISPER_SAMPLE_RATE) {
+            return input;
+        }
+
+        // Linear interpolation is enough for speech recognition
+        const ratio = this.sampleRate / WHISPER_SAMPLE_RATE;
+        const output = new Float32Array(Math.floor(input.length / ratio));
+        for (let i = 0; i < output.length; i++) {
+            const position = i * ratio;
+            const index = Math.floor(position);
+            const next = Math.min(index + 1, input.length - 1);
+            output[i] = input[index] + (input[next] - input[index]) * (position - index);
+        }
+        return output;
+    }
+
+    disconnect() {
+        this.setHealth('stopped');
+        if (this.worker) {
+            this.worker.release();
+            this.worker = null;
+            this.isConnected = false;
+            this.pending.clear();
+            this.resetChunk(0);
+            this.emit('disconnected');
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ * Base class of speech-to-text providers used by GeminiAgent.
+ * A provider transcribes one side of the conversation, either from the PCM16 chunks
+ * passed to sendAudio() or, like the Web Speech API, from its own microphone capture.
+ *
+ * Events:
+ *   connected                   - ready to receive audio
+ *   transcription (text, words) - final transcript of a segment
+ *   interim (text, words)       - provisional transcript of the current segment, replaced by later events
+ *   error (error)               - the provider failed, the transcript may be incomplete
+ *   disconnected                - the provider stopped
+ *   health ({ status, detail }) - status changed: 'healthy', 'degraded' (recovering, transcripts are delayed),
+ *                                 'failed' (gave up) or 'stopped'
+ *
+ * words is optional: [{ word, start, end, speaker }] with times in seconds of audio sent since connect().
+ * speaker is set by providers that tell speakers apart, any value that identifies the speaker within the session.
+ *
+ * @extends EventEmitter
+ */
+import { EventEmitter } from '../utils/event-emitter.js';
+
+export class Transcriber extends EventEmitter {
+    constructor() {
+        super();
+        this.isConnected = false;
+        // True for providers that capture the microphone themselves and ignore sendAudio()
+        this.usesOwnMicrophone = false;
+        this.health = 'stopped';
+    }
+
+    /**
+     * Whether the provider takes audio, also while it recovers from an outage.
+     * @returns {boolean}
+     */
+    get isActive() {
+        return this.health === 'healthy' || this.health === 'degraded';
+    }
+
+    /**
+     * Updates the health status and emits 'health' when it changed.
+     * @param {string} status - 'healthy', 'degraded', 'failed' or 'stopped'
+     * @param {string} [detail] - Reason shown to the user
+     */
+    setHealth(status, detail = '') {
+        if (this.health === status) return;
+        this.health = status;
+        this.emit('health', { status, detail });
+    }
+
+    /**
+     * Starts the provider, resolves once it emitted 'connected'.
+     */
+    async connect() {
+        throw new Error(`${this.constructor.name} does not implement connect()`);
+    }
+
+    /**
+     * Transcribes a chunk of PCM16 audio.
+     * @param {ArrayBuffer|Uint8Array} audioData - Audio chunk
+     */
+    sendAudio(audioData) {
+        throw new Error(`${this.constructor.name} does not implement sendAudio()`);
+    }
+
+    /**
+     * Changes the sample rate of the audio passed to sendAudio(), e.g. when the model's audio states another rate.
+     * Providers that need it at connection time override this.
+     * @param {number} sampleRate - Sample rate in Hz
+     */
+    setSampleRate(sampleRate) {
+        this.sampleRate = sampleRate;
+    }
+
+    /**
+     * Stops the provider and releases its resources.
+     */
+    disconnect() {
+        throw new Error(`${this.constructor.name} does not implement disconnect()`);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,101 @@
+/**
+ * Transcribes the user's microphone with the browser's SpeechRecognition,
+ * so user transcripts work without any API key.
+ * The browser captures the microphone itself, audio passed to sendAudio() is ignored.
+ */
+import { Transcriber } from './transcriber.js';
+
+export class WebSpeechTranscriber extends Transcriber {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.language] - BCP 47 language tag, defaults to the browser's language
+     */
+    constructor({ language = navigator.language } = {}) {
+        super();
+        this.language = language;
+        this.recognition = null;
+        this.usesOwnMicrophone = true;
+        console.info('WebSpeechTranscriber initialized');
+    }
+
+    /**
+     * Whether the browser implements the Web Speech API's SpeechRecognition.
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return Boolean(window.SpeechRecognition || window.webkitSpeechRecognition);
+    }
+
+    async connect() {
+        if (!WebSpeechTranscriber.isSupported()) {
+            throw new Error('Speech recognition is not supported in this browser');
+        }
+
+        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        this.recognition = new SpeechRecognition();
+        this.recognition.lang = this.language;
+        this.recognition.continuous = true;
+        this.recognition.interimResults = true;
+
+        this.recognition.onresult = (event) => {
+            this.setHealth('healthy');
+            for (let i = event.resultIndex; i < event.results.length; i++) {
+                const transcript = event.results[i][0].transcript.trim();
+                if (!transcript) continue;
+                this.emit(event.results[i].isFinal ? 'transcription' : 'interim', transcript);
+            }
+        };
+
+        this.recognition.onerror = (event) => {
+            // Silence is reported as an error but is not one for a conversation
+            if (event.error === 'no-speech' || event.error === 'aborted') return;
+            console.error('Speech recognition error:', event.error);
+            this.emit('error', new Error(`Speech recognition error: ${event.error}`));
+
+            // Without permission restarting is pointless, other errors such as 'network' are retried on end
+            if (event.error === 'not-allowed' || event.error === 'service-not-allowed') {
+                this.isConnected = false;
+                this.setHealth('failed', 'Microphone access for speech recognition was denied');
+            } else {
+                this.setHealth('degraded', `Speech recognition error: ${event.error}`);
+            }
+        };
+
+        // Browsers end recognition after a while of silence, keep it running until disconnect()
+        this.recognition.onend = () => {
+            if (this.isConnected) {
+                this.recognition.start();
+            }
+        };
+
+        return new Promise((resolve, reject) => {
+            this.recognition.onstart = () => {
+                if (this.isConnected) return;
+                this.isConnected = true;
+                this.setHealth('healthy');
+                console.info('Speech recognition started');
+                this.emit('connected');
+                resolve();
+            };
+            try {
+                this.recognition.start();
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    sendAudio() {
+        // The browser listens to the microphone directly
+    }
+
+    disconnect() {
+        if (this.recognition) {
+            this.isConnected = false;
+            this.setHealth('stopped');
+            this.recognition.stop();
+            this.recognition = null;
+            this.emit('disconnected');
+        }
+    }
+}
\ No newline at end of file
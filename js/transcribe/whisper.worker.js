@@ -0,0 +1,81 @@
+/**
+ * Runs a Whisper model with Transformers.js on the WASM backend, off the main thread.
+ * Used by LocalWhisperTranscriber, the audio never leaves the browser. One worker serves the transcribers
+ * of both sides, each request is tagged with the transcriber it came from.
+ *
+ * Messages in:
+ *   { type: 'load', model, libraryUrl, modelHost }
+ *   { type: 'transcribe', client, id, audio, language }   audio is 16 kHz mono Float32Array
+ * Messages out:
+ *   { type: 'progress', file, progress }
+ *   { type: 'ready' }
+ *   { type: 'result', client, id, text, words }  words are [{ word, start, end }] within the chunk, or null
+ *   { type: 'error', client, id, message }       client and id are missing when loading failed
+ */
+let transcriber = null;
+let isEnglishOnly = false;
+let wordTimestamps = true;
+
+// Chunks are transcribed one after another, the model cannot run twice at once
+let queue = Promise.resolve();
+
+const load = async ({ model, libraryUrl, modelHost }) => {
+    // libraryUrl is the root of the @huggingface/transformers package, the module and the ONNX runtime's WASM files are in dist/
+    const distUrl = `${libraryUrl.replace(/\/+$/, '')}/dist/`;
+    const { pipeline, env } = await import(`${distUrl}transformers.min.js`);
+    env.backends.onnx.wasm.wasmPaths = distUrl;
+
+    // Self-hosted deployments serve the model files themselves instead of fetching them from the Hugging Face Hub
+    if (modelHost) {
+        env.allowRemoteModels = false;
+        env.allowLocalModels = true;
+        env.localModelPath = modelHost.endsWith('/') ? modelHost : `${modelHost}/`;
+    }
+
+    transcriber = await pipeline('automatic-speech-recognition', model, {
+        device: 'wasm',
+        progress_callback: ({ status, file, progress }) => {
+            if (status === 'progress') {
+                self.postMessage({ type: 'progress', file, progress });
+            }
+        }
+    });
+
+    isEnglishOnly = model.endsWith('.en');
+};
+
+const transcribe = async (audio, language) => {
+    // English-only models reject a language, 'auto' lets Whisper detect it
+    const options = !isEnglishOnly && language !== 'auto' ? { language: language.split('-')[0], task: 'transcribe' } : {};
+
+    if (wordTimestamps) {
+        try {
+            const output = await transcriber(audio, { ...options, return_timestamps: 'word' });
+            const words = (output.chunks || []).map(({ text, timestamp: [start, end] }) => ({
+                word: text.trim(),
+                start,
+                end: end ?? audio.length / 16000
+            }));
+            return { text: output.text.trim(), words };
+        } catch (error) {
+            // Only models exported with cross attentions have word timings
+            console.warn('Word timestamps are not supported by this model, transcribing without them:', error.message);
+            wordTimestamps = false;
+        }
+    }
+    const output = await transcriber(audio, options);
+    return { text: output.text.trim(), words: null };
+};
+
+self.onmessage = ({ data }) => {
+    if (data.type === 'load') {
+        load(data)
+            .then(() => self.postMessage({ type: 'ready' }))
+            .catch((error) => self.postMessage({ type: 'error', message: error.message }));
+    } else if (data.type === 'transcribe') {
+        queue = queue
+            .then(() => transcribe(data.audio, data.language))
+            .then((result) => self.postMessage({ type: 'result', client: data.client, id: data.id, ...result }))
+            .catch((error) => self.postMessage({ type: 'error', client: data.client, id: data.id, message: error.message }));
+    }
+};
\ No newline at end of file
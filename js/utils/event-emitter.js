@@ -0,0 +1,76 @@
+/**
+ * Minimal EventEmitter with the subset of the eventemitter3 API used in this project.
+ * Local so the modules that depend on it also run in Node and workers without a CDN.
+ */
+export class EventEmitter {
+    constructor() {
+        this._events = new Map();
+    }
+
+    /**
+     * Adds a listener for the given event.
+     * @param {string} eventName - Name of the event
+     * @param {Function} listener - Called with the emitted arguments
+     * @returns {EventEmitter} This instance for chaining
+     */
+    on(eventName, listener) {
+        if (!this._events.has(eventName)) {
+            this._events.set(eventName, []);
+        }
+        this._events.get(eventName).push(listener);
+        return this;
+    }
+
+    /**
+     * Adds a listener that is removed after its first call.
+     * @param {string} eventName - Name of the event
+     * @param {Function} listener - Called with the emitted arguments
+     * @returns {EventEmitter} This instance for chaining
+     */
+    once(eventName, listener) {
+        const wrapper = (...args) => {
+            this.off(eventName, wrapper);
+            listener(...args);
+        };
+        wrapper.listener = listener;
+        return this.on(eventName, wrapper);
+    }
+
+    /**
+     * Removes a listener previously added with on() or once().
+     * @param {string} eventName - Name of the event
+     * @param {Function} listener - The listener to remove
+     * @returns {EventEmitter} This instance for chaining
+     */
+    off(eventName, listener) {
+        const listeners = this._events.get(eventName);
+        if (listeners) {
+            const remaining = listeners.filter((l) => l !== listener && l.listener !== listener);
+            remaining.length ? this._events.set(eventName, remaining) : this._events.delete(eventName);
+        }
+        return this;
+    }
+
+    /**
+     * Removes all listeners, or only those of the given event.
+     * @param {string} [eventName] - Name of the event
+     * @returns {EventEmitter} This instance for chaining
+     */
+    removeAllListeners(eventName) {
+        eventName === undefined ? this._events.clear() : this._events.delete(eventName);
+        return this;
+    }
+
+    /**
+     * Calls all listeners of an event with the given arguments.
+     * @param {string} eventName - Name of the event
+     * @param {...any} args - Arguments passed to the listeners
+     * @returns {boolean} Whether the event had listeners
+     */
+    emit(eventName, ...args) {
+        const listeners = this._events.get(eventName);
+        if (!listeners) return false;
+        [...listeners].forEach((listener) => listener(...args));
+        return true;
+    }
+}
\ No newline at end of file
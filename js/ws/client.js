@@ -1,11 +1,28 @@
 /**
  * Client for interacting with the Gemini 2.0 Flash Multimodal Live API via WebSockets.
  * This class handles the connection, sending and receiving messages, and processing responses.
+ * The socket itself comes from a transport (see transports.js), so the same client runs in the
+ * browser, in Node and against in-memory test doubles.
  * 
  * @extends EventEmitter
  */
-import { EventEmitter } from 'https://cdn.skypack.dev/eventemitter3';
-import { blobToJSON, base64ToArrayBuffer } from '../utils/utils.js';
+import { EventEmitter } from '../utils/event-emitter.js';
+import { base64ToArrayBuffer } from '../utils/utils.js';
+import { encodeMessage, decodeMessage } from './codec.js';
+import { BrowserWebSocketTransport } from './transports.js';
+
+// WebSocket readyState of an open socket, the same for every transport
+const SOCKET_OPEN = 1;
+
+/**
+ * Reads the sample rate from an audio mime type.
+ * @param {string} mimeType - e.g. 'audio/pcm;rate=24000'
+ * @returns {number|undefined} Rate in Hz, undefined when the mime type does not state it
+ */
+const parseSampleRate = (mimeType) => {
+    const rate = parseInt(/;\s*rate=(\d+)/.exec(mimeType)?.[1]);
+    return rate > 0 ? rate : undefined;
+};
 
 export class GeminiWebsocketClient extends EventEmitter {
     /**
@@ -13,8 +30,18 @@ export class GeminiWebsocketClient extends EventEmitter {
      * @param {string} name - Name for the websocket client.
      * @param {string} url - URL for the Gemini API that contains the API key at the end.
      * @param {Object} config - Configuration object for the Gemini API.
+     * @param {Object} [options] - Connection options.
+     * @param {boolean} [options.reconnect=true] - Whether to reconnect automatically when the socket drops.
+     * @param {number} [options.maxReconnectAttempts=5] - Attempts before giving up and emitting 'reconnect_failed'.
+     * @param {number} [options.initialReconnectDelay=500] - Delay in ms before the first reconnection attempt.
+     * @param {number} [options.maxReconnectDelay=10000] - Upper bound in ms for the exponential backoff.
+     * @param {boolean} [options.sessionResumption=true] - Whether to request session resumption handles from the server.
+     * @param {number} [options.setupTimeout=10000] - Time in ms to wait for setupComplete before failing the connection.
+     * @param {number} [options.maxQueueSize=500] - Maximum number of outbound messages buffered while setup is pending.
+     * @param {SessionRecorder} [options.recorder] - Records every frame sent and received when provided.
+     * @param {Object} [options.transport] - Creates the sockets, defaults to the browser WebSocket. See transports.js.
      */
-    constructor(name, url, config) {
+    constructor(name, url, config, options = {}) {
         super();
         this.name = name || 'WebSocketClient';
         this.url = url || `wss://generativelanguage.googleapis.com/ws/google.ai.generativelanguage.v1alpha.GenerativeService.BidiGenerateContent?key=${apiKey}`;
@@ -22,6 +49,30 @@ export class GeminiWebsocketClient extends EventEmitter {
         this.config = config;
         this.isConnecting = false;
         this.connectionPromise = null;
+
+        // Reconnection state
+        this.options = {
+            reconnect: true,
+            maxReconnectAttempts: 5,
+            initialReconnectDelay: 500,
+            maxReconnectDelay: 10000,
+            sessionResumption: true,
+            setupTimeout: 10000,
+            maxQueueSize: 500,
+            recorder: null,
+            transport: new BrowserWebSocketTransport(),
+            ...options
+        };
+        this.recorder = this.options.recorder;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.isReconnecting = false;
+        this.isClosing = false;
+        this.sessionHandle = null;
+
+        // Setup handshake and messages waiting for it
+        this.pendingSetup = null;
+        this.outboundQueue = [];
     }
 
     /**
@@ -29,7 +80,7 @@ export class GeminiWebsocketClient extends EventEmitter {
      * @returns {Promise} Resolves when the connection is established and setup is complete
      */
     async connect() {
-        if (this.ws?.readyState === WebSocket.OPEN) {
+        if (this.ws?.readyState === SOCKET_OPEN) {
             return this.connectionPromise;
         }
 
@@ -38,45 +89,206 @@ export class GeminiWebsocketClient extends EventEmitter {
         }
 
         console.info('🔗 Establishing WebSocket connection...');
+        this.isClosing = false;
+        this.connectionPromise = this.openSocket();
+        return this.connectionPromise;
+    }
+
+    /**
+     * Opens a new WebSocket, sends the setup message and wires up the socket listeners.
+     * The previous socket (if any) is only replaced once the server confirms the setup,
+     * which allows rotating connections on goAway without a gap.
+     * @returns {Promise} Resolves when the server has answered the setup message with setupComplete
+     * @throws {GeminiConnectionError} When the socket fails, closes or times out before setupComplete
+     */
+    openSocket() {
         this.isConnecting = true;
-        this.connectionPromise = new Promise((resolve, reject) => {
-            const ws = new WebSocket(this.url);
+        return new Promise((resolve, reject) => {
+            const ws = this.options.transport.createSocket(this.url);
+            let opened = false;
+            let settled = false;
+            let setupTimer = null;
+
+            const fail = (error) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(setupTimer);
+                this.pendingSetup = null;
+                this.isConnecting = false;
+                console.error(error.message, error);
+                reject(error);
+            };
+
+            this.pendingSetup = {
+                ws,
+                complete: () => {
+                    if (settled) return;
+                    settled = true;
+                    clearTimeout(setupTimer);
+                    this.pendingSetup = null;
+
+                    const previous = this.ws;
+                    this.ws = ws;
+                    this.isConnecting = false;
+
+                    // Retire the socket we are replacing (e.g. after goAway)
+                    if (previous && previous !== ws) {
+                        previous.close();
+                    }
+
+                    console.info(`🔗 ${this.name} setup complete`);
+                    this.emit('setup_complete');
+                    this.flushQueue();
+                    resolve();
+                }
+            };
 
             // Send setup message upon successful connection
             ws.addEventListener('open', () => {
                 console.info('🔗 Successfully connected to websocket');
-                this.ws = ws;
-                this.isConnecting = false;
+                opened = true;
 
                 // Configure
-                this.sendJSON({ setup: this.config });
-                console.debug("Setup message with the following configuration was sent:", this.config);
-                resolve();
+                const setup = this.getSetupMessage();
+                ws.send(encodeMessage({ setup }));
+                this.recorder?.record('out', { setup });
+                console.debug("Setup message with the following configuration was sent:", setup);
+
+                setupTimer = setTimeout(() => {
+                    fail(new GeminiConnectionError(
+                        `${this.name} did not receive setupComplete within ${this.options.setupTimeout} ms`,
+                        { code: 'SETUP_TIMEOUT' }
+                    ));
+                    ws.close();
+                }, this.options.setupTimeout);
             });
 
-            // Handle connection errors
+            // Handle connection errors. Browsers follow up with a close event that carries the details,
+            // Node's WebSocket does not when the connection is refused or the upgrade rejected
             ws.addEventListener('error', (error) => {
-                this.disconnect(ws);
-                const reason = error.reason || 'Unknown';
-                const message = `Could not connect to "${this.url}. Reason: ${reason}"`;
-                console.error(message, error);
-                reject(error);
+                console.error(`${this.name} websocket error`, error);
+                if (!settled) {
+                    fail(new GeminiConnectionError(
+                        `Could not connect to ${this.name}. Reason: ${opened ? 'Connection failed during setup' : 'Connection could not be established'}`,
+                        { code: 'CONNECTION_FAILED' }
+                    ));
+                    // A socket that never opened is already closed
+                    if (opened) ws.close();
+                }
             });
 
-            // Listen for incoming messages, expecting Blob data for binary streams
-            ws.addEventListener('message', async (event) => {
-                if (event.data instanceof Blob) {
-                    this.receive(event.data);
-                } else {
-                    console.error('Non-blob message received', event);
+            ws.addEventListener('close', (event) => {
+                // Socket closed before the server accepted the setup
+                if (!settled) {
+                    const reason = event.reason || (opened ? 'Connection closed during setup' : 'Connection could not be established');
+                    fail(new GeminiConnectionError(
+                        `Could not connect to ${this.name} (code: ${event.code}). Reason: ${reason}`,
+                        { code: opened ? 'SETUP_REJECTED' : 'CONNECTION_FAILED', closeCode: event.code, reason }
+                    ));
+                    return;
                 }
+
+                // Reconnect when the active socket drops unexpectedly
+                if (ws !== this.ws) return;
+                this.ws = null;
+                // Nothing to do if we are shutting down or a replacement socket is already opening
+                if (this.isClosing || this.isConnecting) return;
+                console.warn(`${this.name} websocket closed unexpectedly (code: ${event.code}, reason: ${event.reason || 'none'})`);
+                this.scheduleReconnect();
+            });
+
+            // Listen for incoming messages, decoding is left to receive()
+            ws.addEventListener('message', (event) => {
+                this.receive(event.data, ws);
             });
         });
+    }
 
-        return this.connectionPromise;
+    /**
+     * Builds the setup message, attaching the latest session resumption handle if one was received.
+     * @returns {Object} Setup payload for the Gemini API
+     */
+    getSetupMessage() {
+        if (!this.options.sessionResumption) {
+            return this.config;
+        }
+        return {
+            ...this.config,
+            sessionResumption: this.sessionHandle ? { handle: this.sessionHandle } : {}
+        };
+    }
+
+    /**
+     * Schedules a reconnection attempt using exponential backoff with jitter.
+     * Emits 'reconnecting' before each attempt, 'reconnected' on success
+     * and 'reconnect_failed' once all attempts are exhausted.
+     * @param {number} [delay] - Overrides the computed backoff delay in ms
+     */
+    scheduleReconnect(delay) {
+        if (!this.options.reconnect || this.isClosing || this.reconnectTimer) {
+            return;
+        }
+
+        if (this.reconnectAttempts >= this.options.maxReconnectAttempts) {
+            console.error(`${this.name} gave up reconnecting after ${this.reconnectAttempts} attempts`);
+            this.isReconnecting = false;
+            this.reconnectAttempts = 0;
+            this.emit('reconnect_failed');
+            return;
+        }
+
+        const { initialReconnectDelay, maxReconnectDelay } = this.options;
+        if (delay === undefined) {
+            const backoff = Math.min(initialReconnectDelay * 2 ** this.reconnectAttempts, maxReconnectDelay);
+            delay = backoff / 2 + Math.random() * backoff / 2;
+        }
+
+        this.reconnectAttempts++;
+        this.isReconnecting = true;
+        const attempt = this.reconnectAttempts;
+        console.info(`🔗 ${this.name} reconnecting in ${Math.round(delay)} ms (attempt ${attempt})`);
+        this.emit('reconnecting', { attempt, delay, resumable: !!this.sessionHandle });
+
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            if (this.isClosing) return;
+            try {
+                this.connectionPromise = this.openSocket();
+                await this.connectionPromise;
+                this.reconnectAttempts = 0;
+                this.isReconnecting = false;
+                console.info(`🔗 ${this.name} reconnected`);
+                this.emit('reconnected', { attempt, resumed: !!this.sessionHandle });
+            } catch (error) {
+                // An invalid key or model will not fix itself, so stop retrying
+                if (error.isFatal) {
+                    this.isReconnecting = false;
+                    this.reconnectAttempts = 0;
+                    this.emit('reconnect_failed', error);
+                    return;
+                }
+                this.scheduleReconnect();
+            }
+        }, delay);
     }
 
     disconnect() {
+        this.isClosing = true;
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.isReconnecting = false;
+        this.reconnectAttempts = 0;
+        this.sessionHandle = null;
+        this.outboundQueue = [];
+
+        // Abort a handshake that is still in progress
+        if (this.pendingSetup) {
+            this.pendingSetup.ws.close();
+            this.pendingSetup = null;
+        }
+
         if (this.ws) {
             this.ws.close();
             this.ws = null;
@@ -90,9 +302,27 @@ export class GeminiWebsocketClient extends EventEmitter {
      * Processes incoming WebSocket messages.
      * Handles various response types including tool calls, setup completion,
      * and content delivery (text/audio).
+     * @param {Blob|ArrayBuffer|string} data - Raw message received from the server
+     * @param {WebSocket} [ws] - Socket the message arrived on, used to match setupComplete to its handshake
      */
-    async receive(blob) {
-        const response = await blobToJSON(blob);
+    async receive(data, ws = this.ws) {
+        let response;
+        try {
+            response = await decodeMessage(data);
+        } catch (error) {
+            console.error(`${this.name} could not decode message`, error);
+            return;
+        }
+        this.recorder?.record('in', response);
+
+        // Server accepted the setup message
+        if (response.setupComplete) {
+            console.debug(`${this.name} received setupComplete`);
+            if (this.pendingSetup && this.pendingSetup.ws === ws) {
+                this.pendingSetup.complete();
+            }
+            return;
+        }
         
         // Handle tool call responses
         if (response.toolCall) {
@@ -108,14 +338,43 @@ export class GeminiWebsocketClient extends EventEmitter {
             return;
         }
 
+        // Store the latest handle so a reconnect can resume this session
+        if (response.sessionResumptionUpdate) {
+            const { newHandle, resumable } = response.sessionResumptionUpdate;
+            if (resumable && newHandle) {
+                this.sessionHandle = newHandle;
+            }
+            this.emit('session_resumption_update', response.sessionResumptionUpdate);
+            return;
+        }
+
+        // Server is about to terminate the connection, rotate to a new one right away
+        if (response.goAway) {
+            console.info(`${this.name} received goAway, time left: ${response.goAway.timeLeft}`);
+            this.emit('go_away', response.goAway);
+            this.rotateConnection();
+            return;
+        }
+
         // Process server content (text/audio/interruptions)
         if (response.serverContent) {
             const { serverContent } = response;
+            // Transcripts of the user's audio and the model's speech, requested in the setup
+            if (serverContent.inputTranscription?.text) {
+                this.emit('input_transcription', serverContent.inputTranscription.text);
+            }
+            if (serverContent.outputTranscription?.text) {
+                this.emit('output_transcription', serverContent.outputTranscription.text);
+            }
             if (serverContent.interrupted) {
                 console.debug(`${this.name} is interrupted`);
                 this.emit('interrupted');
                 return;
             }
+            if (serverContent.groundingMetadata) {
+                console.debug(`${this.name} received grounding metadata`, serverContent.groundingMetadata);
+                this.emit('grounding', serverContent.groundingMetadata);
+            }
             if (serverContent.turnComplete) {
                 console.debug(`${this.name} has completed its turn`);
                 this.emit('turn_complete');
@@ -128,17 +387,14 @@ export class GeminiWebsocketClient extends EventEmitter {
                 // Filter out audio parts from the model's content parts
                 const audioParts = parts.filter((p) => p.inlineData && p.inlineData.mimeType.startsWith('audio/pcm'));
                 
-                // Extract base64 encoded audio data from the audio parts
-                const base64s = audioParts.map((p) => p.inlineData?.data);
-                
                 // Create an array of non-audio parts by excluding the audio parts
                 const otherParts = parts.filter((p) => !audioParts.includes(p));
 
-                // Process audio data
-                base64s.forEach((b64) => {
-                    if (b64) {
-                        const data = base64ToArrayBuffer(b64);
-                        this.emit('audio', data);
+                // Process audio data, the mime type states its sample rate, e.g. 'audio/pcm;rate=24000'
+                audioParts.forEach(({ inlineData }) => {
+                    if (inlineData.data) {
+                        const data = base64ToArrayBuffer(inlineData.data);
+                        this.emit('audio', data, parseSampleRate(inlineData.mimeType));
                     }
                 });
 
@@ -153,17 +409,53 @@ export class GeminiWebsocketClient extends EventEmitter {
         }
     }
 
+    /**
+     * Opens a replacement connection before the server closes the current one.
+     * The old socket is closed as soon as the new one is open.
+     */
+    async rotateConnection() {
+        if (this.isClosing || this.isConnecting || this.reconnectTimer) {
+            return;
+        }
+        this.emit('reconnecting', { attempt: 0, delay: 0, resumable: !!this.sessionHandle });
+        try {
+            this.connectionPromise = this.openSocket();
+            await this.connectionPromise;
+            this.emit('reconnected', { attempt: 0, resumed: !!this.sessionHandle });
+        } catch (error) {
+            console.error(`${this.name} failed to rotate connection`, error);
+            this.scheduleReconnect();
+        }
+    }
+
     /**
      * Sends encoded audio chunk to the Gemini API.
      * 
      * @param {string} base64audio - The base64 encoded audio string.
+     * @param {number} [sampleRate=16000] - Sample rate of the PCM16 audio, stated in the mime type.
      */
-    async sendAudio(base64audio) {
-        const data = { realtimeInput: { mediaChunks: [{ mimeType: 'audio/pcm', data: base64audio }] } };
+    async sendAudio(base64audio, sampleRate = 16000) {
+        const data = { realtimeInput: { mediaChunks: [{ mimeType: `audio/pcm;rate=${sampleRate}`, data: base64audio }] } };
         await this.sendJSON(data);
         console.debug(`Sending audio chunk to ${this.name}.`);
     }
 
+    /**
+     * Tells the Gemini API that the user started speaking, used when automatic activity detection is disabled.
+     */
+    async sendActivityStart() {
+        await this.sendJSON({ realtimeInput: { activityStart: {} } });
+        console.debug(`Sent activity start to ${this.name}.`);
+    }
+
+    /**
+     * Tells the Gemini API that the user stopped speaking, which ends the user's turn.
+     */
+    async sendActivityEnd() {
+        await this.sendJSON({ realtimeInput: { activityEnd: {} } });
+        console.debug(`Sent activity end to ${this.name}.`);
+    }
+
     /**
      * Sends encoded image to the Gemini API.
      * 
@@ -195,36 +487,44 @@ export class GeminiWebsocketClient extends EventEmitter {
         console.debug(`Text sent to ${this.name}:`, text);
     }
     /**
-     * Sends the result of the tool call to Gemini.
-     * @param {Object} toolResponse - The response object
-     * @param {any} toolResponse.output - The output of the tool execution (string, number, object, etc.)
-     * @param {string} toolResponse.id - The identifier of the tool call from toolCall.functionCalls[0].id
-     * @param {string} toolResponse.error - Send the output as null and the error message if the tool call failed (optional)
+     * Sends the results of one or more tool calls to Gemini in a single toolResponse message.
+     * @param {Object|Array<Object>} toolResponses - A response object or an array of them
+     * @param {any} toolResponses.output - The output of the tool execution (string, number, object, etc.)
+     * @param {string} toolResponses.id - The identifier of the function call from toolCall.functionCalls[].id
+     * @param {string} toolResponses.name - The name of the called function (optional)
+     * @param {string} toolResponses.error - Send the output as null and the error message if the tool call failed (optional)
      */
-    async sendToolResponse(toolResponse) {
-        if (!toolResponse || !toolResponse.id) {
-            throw new Error('Tool response must include an id');
+    async sendToolResponse(toolResponses) {
+        const responses = Array.isArray(toolResponses) ? toolResponses : [toolResponses];
+        if (!responses.length) {
+            throw new Error('At least one tool response is required');
         }
 
-        const { output, id, error } = toolResponse;
-        let result = [];
+        const functionResponses = responses.map((toolResponse) => {
+            if (!toolResponse || !toolResponse.id) {
+                throw new Error('Tool response must include an id');
+            }
 
-        if (error) {
-            result = [{
-                response: { error: error },
-                id
-            }];
-        } else if (output === undefined) {
-            throw new Error('Tool response must include an output when no error is provided');
-        } else {
-            result = [{
-                response: { output: output },
-                id
-            }];
-        }
+            const { output, id, name, error } = toolResponse;
+            const result = { id };
+            if (name) {
+                result.name = name;
+            }
+
+            if (error) {
+                result.response = { error: error };
+            } else if (output === undefined) {
+                // Report the missing output to the model instead of dropping the other results
+                console.warn(`Tool call ${id} returned no output`);
+                result.response = { error: 'Tool returned no output' };
+            } else {
+                result.response = { output: output };
+            }
+            return result;
+        });
 
-        await this.sendJSON({ toolResponse: {functionResponses: result} });
-        console.debug(`Tool response sent to ${this.name}:`, toolResponse);
+        await this.sendJSON({ toolResponse: { functionResponses } });
+        console.debug(`Tool response sent to ${this.name}:`, functionResponses);
     }
 
     /**
@@ -234,11 +534,85 @@ export class GeminiWebsocketClient extends EventEmitter {
      */
 
     async sendJSON(json) {        
+        if (this.ws?.readyState !== SOCKET_OPEN) {
+            // Hold messages until the server has accepted the setup
+            if (this.isReconnecting || this.isConnecting) {
+                this.enqueue(json);
+                return;
+            }
+            throw new Error(`Failed to send message to ${this.name}: websocket is not open`);
+        }
         try {
-            this.ws.send(JSON.stringify(json));
+            this.ws.send(encodeMessage(json));
+            this.recorder?.record('out', json);
             // console.debug(`JSON Object was sent to ${this.name}:`, json);
         } catch (error) {
             throw new Error(`Failed to send ${json} to ${this.name}:` + error);
         }
     }
+
+    /**
+     * Buffers an outbound message while the setup handshake is pending.
+     * Drops the oldest message once the queue is full to bound memory use.
+     * @param {Object} json - The JSON object to send once the connection is ready.
+     */
+    enqueue(json) {
+        if (this.outboundQueue.length >= this.options.maxQueueSize) {
+            this.outboundQueue.shift();
+            console.warn(`${this.name} outbound queue is full, dropping oldest message`);
+        }
+        this.outboundQueue.push(json);
+    }
+
+    /**
+     * Sends all messages buffered during setup in their original order.
+     * Messages left when the socket drops during the flush are queued again for the next connection.
+     */
+    async flushQueue() {
+        if (!this.outboundQueue.length) return;
+        const queued = this.outboundQueue;
+        this.outboundQueue = [];
+        console.debug(`${this.name} flushing ${queued.length} queued messages`);
+        for (let i = 0; i < queued.length; i++) {
+            try {
+                await this.sendJSON(queued[i]);
+            } catch (error) {
+                console.warn(`${this.name} lost the connection while flushing queued messages`, error);
+                if (!this.isClosing) {
+                    this.outboundQueue = [...queued.slice(i), ...this.outboundQueue];
+                }
+                return;
+            }
+        }
+    }
+}
+
+/**
+ * Error raised when the connection to the Gemini API cannot be established or set up.
+ * Carries the WebSocket close code and reason sent by the server, e.g. for an invalid API key or model name.
+ */
+export class GeminiConnectionError extends Error {
+    /**
+     * @param {string} message - Human readable description
+     * @param {Object} details
+     * @param {string} details.code - One of 'CONNECTION_FAILED', 'SETUP_REJECTED' or 'SETUP_TIMEOUT'
+     * @param {number} [details.closeCode] - WebSocket close code sent by the server
+     * @param {string} [details.reason] - Close reason sent by the server
+     */
+    constructor(message, { code, closeCode = null, reason = null } = {}) {
+        super(message);
+        this.name = 'GeminiConnectionError';
+        this.code = code;
+        this.closeCode = closeCode;
+        this.reason = reason;
+    }
+
+    /**
+     * Whether retrying with the same configuration is pointless.
+     * 1007 (invalid payload) and 1008 (policy violation) are used for bad models, keys and setup fields.
+     * @returns {boolean}
+     */
+    get isFatal() {
+        return this.code === 'SETUP_REJECTED' && [1007, 1008].includes(this.closeCode);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,32 @@
+/**
+ * Encoding and decoding of BidiGenerateContent messages, independent of the socket they travel on.
+ * The browser delivers server frames as Blob, Node's ws as Buffer, and test transports as strings,
+ * so decoding accepts all of them.
+ */
+
+/**
+ * Encodes a message for sending.
+ * @param {Object} message - JSON message
+ * @returns {string} Encoded frame
+ */
+export function encodeMessage(message) {
+    return JSON.stringify(message);
+}
+
+/**
+ * Decodes a received frame into a JSON message.
+ * @param {Blob|ArrayBuffer|ArrayBufferView|string} data - Frame payload
+ * @returns {Promise<Object>} Decoded message
+ */
+export async function decodeMessage(data) {
+    if (typeof data === 'string') {
+        return JSON.parse(data);
+    }
+    if (typeof Blob !== 'undefined' && data instanceof Blob) {
+        return JSON.parse(await data.text());
+    }
+    if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+        return JSON.parse(new TextDecoder().decode(data));
+    }
+    throw new Error(`Cannot decode message of type ${data?.constructor?.name ?? typeof data}`);
+}
\ No newline at end of file
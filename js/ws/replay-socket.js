@@ -0,0 +1,71 @@
+/**
+ * Drop-in replacement for WebSocket that replays a recorded session instead of using the network.
+ * Inbound frames are delivered as messages at their recorded times, so the client's receive()
+ * and everything downstream (GeminiAgent, AudioStreamer, ChatManager) behave as in the original session.
+ * Outbound messages are accepted and logged but do not influence the replay.
+ *
+ * @extends EventTarget
+ */
+export class ReplaySocket extends EventTarget {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSING = 2;
+    static CLOSED = 3;
+
+    /**
+     * @param {Array<Object>} entries - Frames returned by SessionRecorder.parse()
+     * @param {Object} [options]
+     * @param {number} [options.speed=1] - Playback speed factor, e.g. 2 replays twice as fast
+     */
+    constructor(entries, { speed = 1 } = {}) {
+        super();
+        this.entries = entries.filter((entry) => entry.direction === 'in');
+        this.speed = speed;
+        this.readyState = ReplaySocket.CONNECTING;
+        this.timers = [];
+        this.sent = [];
+
+        setTimeout(() => {
+            this.readyState = ReplaySocket.OPEN;
+            this.dispatchEvent(new Event('open'));
+        }, 0);
+    }
+
+    /**
+     * Records outbound messages and starts the replay once the setup message was sent.
+     * @param {string} data - JSON encoded message
+     */
+    send(data) {
+        if (this.readyState !== ReplaySocket.OPEN) {
+            throw new Error('Replay socket is not open');
+        }
+        const message = JSON.parse(data);
+        this.sent.push(message);
+        if (message.setup) {
+            this.start();
+        }
+    }
+
+    /**
+     * Schedules all recorded inbound frames relative to the first one.
+     */
+    start() {
+        const offset = this.entries.length ? this.entries[0].t : 0;
+        this.entries.forEach((entry) => {
+            const timer = setTimeout(() => {
+                if (this.readyState !== ReplaySocket.OPEN) return;
+                this.dispatchEvent(Object.assign(new Event('message'), { data: JSON.stringify(entry.message) }));
+            }, (entry.t - offset) / this.speed);
+            this.timers.push(timer);
+        });
+        console.info(`Replaying ${this.entries.length} recorded frames`);
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.readyState === ReplaySocket.CLOSED) return;
+        this.timers.forEach((timer) => clearTimeout(timer));
+        this.timers = [];
+        this.readyState = ReplaySocket.CLOSED;
+        this.dispatchEvent(Object.assign(new Event('close'), { code, reason, wasClean: true }));
+    }
+}
\ No newline at end of file
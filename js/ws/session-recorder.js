@@ -0,0 +1,117 @@
+/**
+ * Records every frame exchanged with the Gemini API for later debugging and replay.
+ * Each frame is stored with its direction and the time in ms since the recording started.
+ * Base64 media payloads (audio chunks, images) can be kept inline, moved to a separate
+ * media file to keep the session readable, or omitted entirely.
+ */
+export class SessionRecorder {
+    /**
+     * @param {Object} [options]
+     * @param {'inline'|'separate'|'omit'} [options.media='separate'] - How to store base64 media payloads
+     */
+    constructor({ media = 'separate' } = {}) {
+        this.mediaMode = media;
+        this.startedAt = Date.now();
+        this.entries = [];
+        this.media = [];
+    }
+
+    /**
+     * Records a frame.
+     * @param {'out'|'in'} direction - 'out' for messages sent to Gemini, 'in' for messages received
+     * @param {Object} message - Decoded JSON message
+     */
+    record(direction, message) {
+        this.entries.push({
+            t: Date.now() - this.startedAt,
+            direction,
+            message: this.mediaMode === 'inline' ? message : this.extractMedia(message)
+        });
+    }
+
+    /**
+     * Returns a copy of the message with base64 payloads replaced by references into this.media.
+     * @param {Object} message - Decoded JSON message
+     * @returns {Object}
+     */
+    extractMedia(message) {
+        return JSON.parse(JSON.stringify(message), (key, value) => {
+            if (value && typeof value === 'object' && typeof value.data === 'string' && typeof value.mimeType === 'string') {
+                if (this.mediaMode === 'omit') {
+                    return { mimeType: value.mimeType, omittedBytes: value.data.length };
+                }
+                this.media.push(value.data);
+                return { mimeType: value.mimeType, mediaRef: this.media.length - 1 };
+            }
+            return value;
+        });
+    }
+
+    /**
+     * Serializes the session as JSONL: a header line followed by one line per frame.
+     * @returns {string}
+     */
+    toJSONL() {
+        const header = { type: 'session', version: 1, startedAt: new Date(this.startedAt).toISOString(), media: this.mediaMode };
+        return [header, ...this.entries].map((line) => JSON.stringify(line)).join('\n');
+    }
+
+    /**
+     * Serializes the separately stored media payloads as JSONL, one { ref, data } per line.
+     * @returns {string}
+     */
+    mediaToJSONL() {
+        return this.media.map((data, ref) => JSON.stringify({ ref, data })).join('\n');
+    }
+
+    /**
+     * Downloads the session (and its media file, if any) from the browser.
+     * @param {string} [fileName] - Base name of the exported files
+     */
+    download(fileName = `gemini-session-${new Date(this.startedAt).toISOString().replace(/[:.]/g, '-')}`) {
+        const save = (content, name) => {
+            const url = URL.createObjectURL(new Blob([content], { type: 'application/x-ndjson' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = name;
+            link.click();
+            URL.revokeObjectURL(url);
+        };
+
+        save(this.toJSONL(), `${fileName}.jsonl`);
+        if (this.mediaMode === 'separate' && this.media.length) {
+            save(this.mediaToJSONL(), `${fileName}-media.jsonl`);
+        }
+        console.info(`Exported ${this.entries.length} recorded frames`);
+    }
+
+    /**
+     * Parses an exported session back into frames, restoring media from the media file when given.
+     * Media that cannot be restored is replaced with an empty payload.
+     * @param {string} sessionJSONL - Contents of the session file
+     * @param {string} [mediaJSONL] - Contents of the media file
+     * @returns {Array<{ t: number, direction: string, message: Object }>} Recorded frames
+     */
+    static parse(sessionJSONL, mediaJSONL = '') {
+        const media = new Map();
+        mediaJSONL.split('\n').filter(Boolean).forEach((line) => {
+            const { ref, data } = JSON.parse(line);
+            media.set(ref, data);
+        });
+
+        return sessionJSONL.split('\n')
+            .filter(Boolean)
+            .map((line) => JSON.parse(line))
+            .filter((entry) => entry.type !== 'session')
+            .map((entry) => ({
+                ...entry,
+                message: JSON.parse(JSON.stringify(entry.message), (key, value) => {
+                    if (value && typeof value === 'object' && typeof value.mimeType === 'string' && value.data === undefined
+                        && ('mediaRef' in value || 'omittedBytes' in value)) {
+                        return { mimeType: value.mimeType, data: media.get(value.mediaRef) || '' };
+                    }
+                    return value;
+                })
+            }));
+    }
+}
\ No newline at end of file
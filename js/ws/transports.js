@@ -0,0 +1,153 @@
+/**
+ * Transports create the socket GeminiWebsocketClient talks through.
+ * A transport implements createSocket(url) and returns a WebSocket-compatible object:
+ * readyState, send(string), close(code, reason) and addEventListener for
+ * 'open', 'message' (event.data), 'error' and 'close' (event.code, event.reason).
+ */
+import { EventEmitter } from '../utils/event-emitter.js';
+import { encodeMessage, decodeMessage } from './codec.js';
+import { ReplaySocket } from './replay-socket.js';
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 3;
+
+/**
+ * Uses the browser's (or Node 22's global) WebSocket.
+ */
+export class BrowserWebSocketTransport {
+    createSocket(url) {
+        return new WebSocket(url);
+    }
+}
+
+/**
+ * Uses a WebSocket implementation passed in by the caller, e.g. the `ws` package in Node:
+ *   new NodeWebSocketTransport(require('ws'))
+ */
+export class NodeWebSocketTransport {
+    /**
+     * @param {Function} [WebSocketImpl=globalThis.WebSocket] - WebSocket constructor
+     * @param {Object} [options] - Extra options passed to the constructor, e.g. headers for `ws`
+     */
+    constructor(WebSocketImpl = globalThis.WebSocket, options = undefined) {
+        if (!WebSocketImpl) {
+            throw new Error('No WebSocket implementation available, pass one such as the `ws` package');
+        }
+        this.WebSocketImpl = WebSocketImpl;
+        this.options = options;
+    }
+
+    createSocket(url) {
+        const socket = this.options ? new this.WebSocketImpl(url, this.options) : new this.WebSocketImpl(url);
+        socket.binaryType = 'arraybuffer';
+        return socket;
+    }
+}
+
+/**
+ * Replays a recorded session, see SessionRecorder.parse().
+ */
+export class ReplayTransport {
+    /**
+     * @param {Array<Object>} entries - Recorded frames
+     * @param {Object} [options] - Options passed to ReplaySocket, e.g. { speed: 2 }
+     */
+    constructor(entries, options = {}) {
+        this.entries = entries;
+        this.options = options;
+    }
+
+    createSocket() {
+        return new ReplaySocket(this.entries, this.options);
+    }
+}
+
+/**
+ * Connects the client to an in-memory peer, for unit tests and demos without any server.
+ * The handler receives a LoopbackPeer for every socket the client opens:
+ *
+ *   new LoopbackTransport((peer) => {
+ *       peer.on('message', (message) => {
+ *           if (message.setup) peer.send({ setupComplete: {} });
+ *       });
+ *   });
+ */
+export class LoopbackTransport {
+    /**
+     * @param {Function} handler - Called with the server side peer of each new socket
+     */
+    constructor(handler) {
+        this.handler = handler;
+    }
+
+    createSocket(url) {
+        const socket = new LoopbackSocket(url);
+        this.handler(socket.peer);
+        return socket;
+    }
+}
+
+/**
+ * Client side of a loopback connection.
+ * @extends EventTarget
+ */
+class LoopbackSocket extends EventTarget {
+    constructor(url) {
+        super();
+        this.url = url;
+        this.readyState = CONNECTING;
+        this.peer = new LoopbackPeer(this);
+
+        setTimeout(() => {
+            this.readyState = OPEN;
+            this.dispatchEvent(new Event('open'));
+        }, 0);
+    }
+
+    send(data) {
+        if (this.readyState !== OPEN) {
+            throw new Error('Loopback socket is not open');
+        }
+        // Deliver asynchronously like a real network would
+        queueMicrotask(async () => this.peer.emit('message', await decodeMessage(data)));
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.readyState === CLOSED) return;
+        this.readyState = CLOSED;
+        this.dispatchEvent(Object.assign(new Event('close'), { code, reason, wasClean: true }));
+        this.peer.emit('close', code, reason);
+    }
+}
+
+/**
+ * Server side of a loopback connection.
+ * Emits 'message' with decoded JSON messages and 'close' with (code, reason).
+ * @extends EventEmitter
+ */
+class LoopbackPeer extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+    }
+
+    /**
+     * Sends a message to the client.
+     * @param {Object} message - JSON message
+     */
+    send(message) {
+        if (this.socket.readyState !== OPEN) return;
+        const data = encodeMessage(message);
+        setTimeout(() => this.socket.dispatchEvent(Object.assign(new Event('message'), { data })), 0);
+    }
+
+    /**
+     * Closes the connection from the server side.
+     * @param {number} [code=1000] - Close code
+     * @param {string} [reason=''] - Close reason
+     */
+    close(code = 1000, reason = '') {
+        this.socket.close(code, reason);
+    }
+}
\ No newline at end of file
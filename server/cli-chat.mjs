@@ -0,0 +1,107 @@
+/**
+ * Text-only chat with the Live API from the terminal, using the same GeminiWebsocketClient as the web app.
+ *
+ * Usage:
+ *   GEMINI_API_KEY=... node server/cli-chat.mjs
+ *   node server/cli-chat.mjs --url ws://localhost:8765        # against the mock server
+ *
+ * Requires Node.js 22 or later for its built-in WebSocket client. Older versions only work with the `ws` package
+ * installed next to the repository, which has no package.json to install it from.
+ */
+import { createInterface } from 'node:readline';
+import { GeminiWebsocketClient } from '../js/ws/client.js';
+import { NodeWebSocketTransport } from '../js/ws/transports.js';
+import { loadWebSocketClient } from './websocket.mjs';
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : fallback;
+};
+
+const apiKey = process.env.GEMINI_API_KEY;
+const url = option('url', `wss://generativelanguage.googleapis.com/ws/google.ai.generativelanguage.v1alpha.GenerativeService.BidiGenerateContent?key=${apiKey}`);
+const config = {
+    model: option('model', 'models/gemini-2.0-flash-exp'),
+    generationConfig: { responseModalities: ['TEXT'] },
+    systemInstruction: { parts: [{ text: option('system', 'You are a helpful assistant') }] }
+};
+
+// Keep the terminal readable, the client logs every frame at debug level
+console.debug = () => {};
+console.info = () => {};
+
+const client = new GeminiWebsocketClient('CLI', url, config, {
+    transport: new NodeWebSocketTransport(await loadWebSocketClient())
+});
+const prompt = createInterface({ input: process.stdin, output: process.stdout });
+prompt.setPrompt('> ');
+
+// Lines are sent one turn at a time, lines typed or piped in before the session is set up or during a reply wait here
+const queuedLines = [];
+let isConnected = false;
+let awaitingReply = false;
+let inputClosed = false;
+let isShuttingDown = false;
+
+/**
+ * Closes the session with a close handshake and exits once the server confirmed it.
+ */
+const shutdown = async () => {
+    if (isShuttingDown) return;
+    isShuttingDown = true;
+    const socket = client.ws;
+    client.disconnect();
+    if (socket && socket.readyState !== 3) {
+        await new Promise((resolve) => {
+            socket.addEventListener('close', resolve, { once: true });
+            setTimeout(resolve, 2000);
+        });
+    }
+    process.exit(0);
+};
+
+const sendNext = () => {
+    if (!isConnected || awaitingReply) return;
+    if (queuedLines.length) {
+        awaitingReply = true;
+        client.sendText(queuedLines.shift());
+    } else if (inputClosed) {
+        // Piped input ends before the replies arrive, exit after the last one
+        shutdown();
+    } else {
+        prompt.prompt();
+    }
+};
+
+client.on('content', ({ modelTurn }) => {
+    modelTurn.parts.filter((part) => part.text).forEach((part) => process.stdout.write(part.text));
+});
+client.on('turn_complete', () => {
+    process.stdout.write('\n');
+    awaitingReply = false;
+    sendNext();
+});
+
+prompt.on('line', (line) => {
+    if (line.trim()) {
+        queuedLines.push(line.trim());
+        sendNext();
+    } else if (isConnected && !awaitingReply) {
+        prompt.prompt();
+    }
+});
+prompt.on('close', () => {
+    inputClosed = true;
+    sendNext();
+});
+
+try {
+    await client.connect();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
+isConnected = true;
+sendNext();
\ No newline at end of file
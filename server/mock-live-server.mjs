@@ -0,0 +1,298 @@
+/**
+ * Local stand-in for the Gemini Multimodal Live API (BidiGenerateContent) for offline development.
+ * Speaks the same protocol as generativelanguage.googleapis.com: answers setup with setupComplete
+ * and replies to clientContent, realtimeInput and toolResponse messages according to a scenario file.
+ *
+ * Usage:
+ *   node server/mock-live-server.mjs [--port 8765] [--host 127.0.0.1] [--scenario default]
+ *
+ * Then open the app with ?ws=ws://localhost:8765 or set the WebSocket URL in the settings.
+ * A scenario from the scenarios folder can also be picked per connection: ws://localhost:8765/?scenario=tool-call
+ * The server only listens on the loopback interface unless --host says otherwise.
+ */
+import { createServer } from 'node:http';
+import { readFileSync, existsSync } from 'node:fs';
+import { basename, dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { attachWebSocketServer } from './websocket.mjs';
+
+const SCENARIOS_DIR = join(dirname(fileURLToPath(import.meta.url)), 'scenarios');
+
+/**
+ * Loads a scenario by name from the scenarios folder or by path.
+ * @param {string} nameOrPath - e.g. 'default' or './my-scenario.json'
+ * @returns {Object} Parsed scenario
+ */
+export function loadScenario(nameOrPath) {
+    const path = existsSync(nameOrPath) ? nameOrPath : join(SCENARIOS_DIR, `${nameOrPath}.json`);
+    if (!existsSync(path)) {
+        throw new Error(`Scenario "${nameOrPath}" not found`);
+    }
+    return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+/**
+ * Loads a scenario a client asked for. Only plain names of files in the scenarios folder are accepted,
+ * the name comes from the connection URL and must not reach other files.
+ * @param {string} name - e.g. 'tool-call'
+ * @returns {Object|null} Parsed scenario, or null when there is no such scenario
+ */
+function loadRequestedScenario(name) {
+    if (!/^[\w-]+$/.test(name) || basename(name) !== name) return null;
+    try {
+        return JSON.parse(readFileSync(join(SCENARIOS_DIR, `${name}.json`), 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * One client connection following a scenario.
+ *
+ * Scenario format:
+ *   setup:     { delayMs, reject: { code, reason }, sessionResumption: true, goAwayAfterMs }
+ *   rules:     [{ on, match, after, once, interrupts, send: [steps] }]
+ *     on:         'setup' | 'clientContent' | 'realtimeInput' | 'toolResponse'
+ *     match:      Regular expression tested against the user's text or the responded function names
+ *     after:      For realtimeInput, number of media chunks to receive before the rule fires
+ *     once:       Only fire the first time the rule matches
+ *     interrupts: Send serverContent.interrupted if the previous reply is still being sent
+ *   steps: raw server messages, or one of the shorthands
+ *     { delayMs }                       - pause before the next step
+ *     { text }                          - model turn with a text part
+ *     { audio: { durationMs, frequency, sampleRate } } - model turn with a PCM sine tone
+ *       audio.transcript                 - also sent as outputTranscription if the client asked for transcripts
+ *     { close: { code, reason } }       - close the connection
+ *   Strings in steps may contain {{text}}, replaced with the user's text.
+ */
+class MockSession {
+    constructor(connection, scenario) {
+        this.connection = connection;
+        this.scenario = scenario;
+        this.rules = (scenario.rules || []).map((rule) => ({ ...rule, fired: false }));
+        this.isSetup = false;
+        this.setup = null;
+        this.mediaChunks = 0;
+        this.turnId = 0;
+        this.isResponding = false;
+        this.handleCount = 0;
+        this.goAwayTimer = null;
+
+        connection.on('message', (data) => this.onMessage(data));
+        connection.on('close', () => clearTimeout(this.goAwayTimer));
+    }
+
+    onMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            this.connection.close(1007, 'Request contains an invalid argument.');
+            return;
+        }
+
+        if (message.setup) {
+            this.onSetup(message.setup);
+            return;
+        }
+        if (!this.isSetup) {
+            this.connection.close(1007, 'Setup must be the first message.');
+            return;
+        }
+
+        if (message.clientContent) {
+            const text = (message.clientContent.turns || [])
+                .flatMap((turn) => [].concat(turn.parts || []))
+                .map((part) => part.text || '')
+                .join(' ');
+            if (message.clientContent.turnComplete !== false) {
+                this.trigger('clientContent', text);
+            }
+        } else if (message.realtimeInput) {
+            this.mediaChunks += (message.realtimeInput.mediaChunks || []).length || 1;
+            this.trigger('realtimeInput', '');
+        } else if (message.toolResponse) {
+            const names = (message.toolResponse.functionResponses || []).map((response) => response.name || response.id);
+            this.trigger('toolResponse', names.join(' '));
+        } else {
+            console.warn('Mock server received unknown message', Object.keys(message));
+        }
+    }
+
+    async onSetup(setup) {
+        const options = this.scenario.setup || {};
+        console.info(`Setup received for ${setup.model}${setup.sessionResumption?.handle ? ` (resuming ${setup.sessionResumption.handle})` : ''}`);
+
+        if (!setup.model) {
+            this.connection.close(1007, 'Request contains an invalid argument: model is required.');
+            return;
+        }
+        await sleep(options.delayMs || 0);
+        if (options.reject) {
+            this.connection.close(options.reject.code || 1008, options.reject.reason || 'Setup rejected by scenario.');
+            return;
+        }
+
+        this.isSetup = true;
+        this.setup = setup;
+        this.connection.send({ setupComplete: {} });
+
+        if (setup.sessionResumption && options.sessionResumption !== false) {
+            this.sendResumptionHandle();
+        }
+        if (options.goAwayAfterMs) {
+            this.goAwayTimer = setTimeout(() => {
+                this.connection.send({ goAway: { timeLeft: '5s' } });
+                setTimeout(() => this.connection.close(1000, 'Session rotated.'), 5000);
+            }, options.goAwayAfterMs);
+        }
+        this.trigger('setup', '');
+    }
+
+    sendResumptionHandle() {
+        this.handleCount++;
+        this.connection.send({
+            sessionResumptionUpdate: { newHandle: `mock-session-${Date.now()}-${this.handleCount}`, resumable: true }
+        });
+    }
+
+    trigger(event, text) {
+        const rule = this.rules.find((candidate) => {
+            if (candidate.on !== event || (candidate.once && candidate.fired)) return false;
+            if (candidate.match && !new RegExp(candidate.match, 'i').test(text)) return false;
+            if (candidate.after && this.mediaChunks < candidate.after) return false;
+            return true;
+        });
+        if (!rule) return;
+
+        rule.fired = true;
+        if (event === 'realtimeInput') {
+            this.mediaChunks = 0;
+        }
+        if (this.isResponding && rule.interrupts) {
+            this.connection.send({ serverContent: { interrupted: true } });
+        }
+        this.respond(rule.send || [], text);
+    }
+
+    async respond(steps, text) {
+        // Starting a new reply cancels the steps left in the previous one
+        const turnId = ++this.turnId;
+        this.isResponding = true;
+
+        for (const step of steps) {
+            if (turnId !== this.turnId || !this.connection.isOpen) return;
+
+            if (step.delayMs !== undefined && Object.keys(step).length === 1) {
+                await sleep(step.delayMs);
+            } else if (step.text !== undefined) {
+                this.connection.send({ serverContent: { modelTurn: { parts: [{ text: fillTemplate(step.text, text, false) }] } } });
+            } else if (step.audio) {
+                this.connection.send({ serverContent: { modelTurn: { parts: [createTonePart(step.audio)] } } });
+                // Transcript of the "spoken" audio, only when the client asked for transcriptions
+                if (step.audio.transcript && this.setup.outputAudioTranscription) {
+                    this.connection.send({ serverContent: { outputTranscription: { text: fillTemplate(step.audio.transcript, text, false) } } });
+                }
+            } else if (step.close) {
+                this.connection.close(step.close.code || 1000, step.close.reason || '');
+            } else {
+                this.connection.send(JSON.parse(fillTemplate(JSON.stringify(step), text, true)));
+            }
+        }
+
+        if (turnId === this.turnId) {
+            this.isResponding = false;
+        }
+    }
+}
+
+/**
+ * Builds an inlineData part with a PCM16 sine tone, labelled like the real API's audio chunks.
+ * @param {Object} options
+ * @param {number} [options.durationMs=500] - Length of the tone
+ * @param {number} [options.frequency=440] - Frequency in Hz, 0 for silence
+ * @param {number} [options.sampleRate=24000] - Sample rate in Hz
+ * @returns {Object} Content part
+ */
+function createTonePart({ durationMs = 500, frequency = 440, sampleRate = 24000 } = {}) {
+    const samples = Math.floor(sampleRate * durationMs / 1000);
+    const pcm = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) {
+        pcm.writeInt16LE(Math.round(Math.sin(2 * Math.PI * frequency * i / sampleRate) * 8000), i * 2);
+    }
+    return { inlineData: { mimeType: `audio/pcm;rate=${sampleRate}`, data: pcm.toString('base64') } };
+}
+
+/**
+ * Replaces {{text}} with the user's text.
+ * @param {string} template - String containing placeholders
+ * @param {string} text - User's text
+ * @param {boolean} isJSON - Escape the text for use inside a JSON string
+ * @returns {string}
+ */
+function fillTemplate(template, text, isJSON) {
+    const value = isJSON ? JSON.stringify(text).slice(1, -1) : text;
+    return template.replace(/\{\{text\}\}/g, () => value);
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Starts the mock server.
+ * @param {Object} [options]
+ * @param {number} [options.port=8765] - Port to listen on, 0 for a random free port
+ * @param {string} [options.host='127.0.0.1'] - Interface to listen on, '0.0.0.0' for all of them
+ * @param {string} [options.scenario='default'] - Scenario name or path used when the connection URL does not name one
+ * @returns {Promise<import('node:http').Server>} The listening server
+ * @throws {Error} When the default scenario cannot be loaded
+ */
+export async function startMockServer({ port = 8765, host = '127.0.0.1', scenario = 'default' } = {}) {
+    // The default scenario is chosen by whoever starts the server and may be any file
+    const defaultScenario = loadScenario(scenario);
+
+    const server = createServer((request, response) => {
+        response.writeHead(426, { 'Content-Type': 'text/plain' });
+        response.end('Mock Gemini Live API, connect with a WebSocket client.');
+    });
+
+    attachWebSocketServer(server, (connection, request) => {
+        const requested = new URL(request.url, 'ws://localhost').searchParams.get('scenario');
+        // Clients that drop without a close handshake reset the socket, a 'close' event follows
+        connection.on('error', (error) => console.warn('Client socket error:', error.message));
+
+        const selected = requested ? loadRequestedScenario(requested) : defaultScenario;
+        if (!selected) {
+            console.warn(`Client asked for unknown scenario "${requested}"`);
+            connection.close(1008, 'Unknown scenario.');
+            return;
+        }
+        console.info(`Client connected, using scenario "${requested || scenario}"`);
+        new MockSession(connection, selected);
+    });
+
+    return new Promise((resolve) => {
+        server.listen(port, host, () => {
+            console.info(`Mock Gemini Live API listening on ws://${host}:${server.address().port}`);
+            resolve(server);
+        });
+    });
+}
+
+// Run as a script
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const index = args.indexOf(`--${name}`);
+        return index >= 0 ? args[index + 1] : fallback;
+    };
+    startMockServer({
+        port: parseInt(option('port', '8765')),
+        host: option('host', '127.0.0.1'),
+        scenario: option('scenario', 'default')
+    }).catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
\ No newline at end of file
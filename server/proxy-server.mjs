@@ -0,0 +1,339 @@
+/**
+ * Backend proxy that keeps the Gemini API key on the server.
+ * The browser connects to this server instead of generativelanguage.googleapis.com; every WebSocket
+ * is relayed to the BidiGenerateContent endpoint with the server's key. The proxy also serves the app,
+ * so a deployment only needs this one process.
+ *
+ * Usage:
+ *   GEMINI_API_KEY=... node server/proxy-server.mjs
+ *
+ * Requires Node.js 22 or later for its built-in WebSocket client. Older versions only work with the `ws` package
+ * installed next to the repository, which has no package.json to install it from.
+ *
+ * Environment:
+ *   GEMINI_API_KEY              Required. Key used for all upstream connections
+ *   PROXY_PORT                  Port to listen on (default 8080)
+ *   PROXY_ACCESS_TOKENS         Comma separated tokens clients must pass as ?token=, each one identifies a user.
+ *                               Without it anyone can connect and users are told apart by IP address
+ *   PROXY_TRUSTED_PROXIES       Comma separated addresses of reverse proxies in front of this server, whose
+ *                               X-Forwarded-For header is trusted for the client's IP address (default none)
+ *   PROXY_ALLOWED_MODELS        Comma separated models clients may request (default models/gemini-2.0-flash-exp)
+ *   PROXY_MAX_SESSIONS          Concurrent sessions per user (default 2)
+ *   PROXY_SESSIONS_PER_MINUTE   New sessions per user and minute (default 10)
+ *   PROXY_UPSTREAM_URL          BidiGenerateContent endpoint without the key (default: v1alpha endpoint)
+ */
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { dirname, extname, join, normalize, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { attachWebSocketServer, loadWebSocketClient } from './websocket.mjs';
+
+const APP_ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+// Client messages held while the upstream connection opens, a client sending more is closed
+const MAX_PENDING_BYTES = 4 * 1024 * 1024;
+const DEFAULT_UPSTREAM_URL = 'wss://generativelanguage.googleapis.com/ws/google.ai.generativelanguage.v1alpha.GenerativeService.BidiGenerateContent';
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+const list = (value, fallback) => (value || fallback).split(',').map((item) => item.trim()).filter(Boolean);
+
+// IPv4 clients of a dual-stack server show up as ::ffff:1.2.3.4
+const normalizeAddress = (address) => address?.replace(/^::ffff:(?=\d+\.)/, '');
+
+/**
+ * Finds the client's IP address. X-Forwarded-For is only believed when the connection comes from a trusted
+ * proxy, anyone else could send a new value with every connection to escape the rate limits.
+ * @param {import('node:http').IncomingMessage} request
+ * @param {string[]} trustedProxies - Addresses of the reverse proxies in front of this server
+ * @returns {string}
+ */
+function clientAddress(request, trustedProxies) {
+    let address = normalizeAddress(request.socket.remoteAddress);
+    const forwarded = (request.headers['x-forwarded-for'] || '').split(',').map((item) => normalizeAddress(item.trim())).filter(Boolean);
+    // Each trusted proxy appends the address it received the request from, so walk the chain from the right
+    while (trustedProxies.includes(address) && forwarded.length) {
+        address = forwarded.pop();
+    }
+    return address;
+}
+
+/**
+ * Tracks concurrent and recent sessions per user.
+ */
+class RateLimiter {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxSessions - Concurrent sessions per user
+     * @param {number} options.sessionsPerMinute - New sessions per user within a sliding minute
+     */
+    constructor({ maxSessions, sessionsPerMinute }) {
+        this.maxSessions = maxSessions;
+        this.sessionsPerMinute = sessionsPerMinute;
+        this.active = new Map();   // user -> number of open sessions
+        this.history = new Map();  // user -> start times of recent sessions
+    }
+
+    /**
+     * Reserves a session for the user.
+     * @param {string} user - User identifier
+     * @returns {string|null} Reason for the rejection, or null when the session may start
+     */
+    acquire(user) {
+        const now = Date.now();
+        const recent = (this.history.get(user) || []).filter((time) => now - time < 60000);
+
+        if ((this.active.get(user) || 0) >= this.maxSessions) {
+            return `Too many concurrent sessions (limit ${this.maxSessions})`;
+        }
+        if (recent.length >= this.sessionsPerMinute) {
+            return `Too many new sessions (limit ${this.sessionsPerMinute} per minute)`;
+        }
+
+        recent.push(now);
+        this.history.set(user, recent);
+        this.active.set(user, (this.active.get(user) || 0) + 1);
+        return null;
+    }
+
+    release(user) {
+        const count = (this.active.get(user) || 1) - 1;
+        count > 0 ? this.active.set(user, count) : this.active.delete(user);
+    }
+}
+
+/**
+ * Relays one client connection to the Gemini API.
+ * The first client message must be the setup, which is checked against the allowed models
+ * before the upstream connection is opened.
+ */
+class RelaySession {
+    constructor(client, user, { upstreamUrl, allowedModels, WebSocketClient, onClose }) {
+        this.client = client;
+        this.user = user;
+        this.upstreamUrl = upstreamUrl;
+        this.allowedModels = allowedModels;
+        this.WebSocketClient = WebSocketClient;
+        this.onClose = onClose;
+        this.upstream = null;
+        this.pending = [];
+        this.pendingBytes = 0;
+        this.closed = false;
+
+        client.on('message', (data) => this.onClientMessage(data));
+        client.on('close', (code, reason) => this.close(code, reason, 'client'));
+        client.on('error', (error) => console.error(`Client socket error (${user})`, error.message));
+    }
+
+    onClientMessage(data) {
+        if (this.closed) return;
+        const text = data.toString();
+
+        if (!this.upstream) {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (error) {
+                this.close(1007, 'Request contains an invalid argument.', 'proxy');
+                return;
+            }
+            if (!message.setup) {
+                this.close(1007, 'Setup must be the first message.', 'proxy');
+                return;
+            }
+            if (!this.allowedModels.includes(message.setup.model)) {
+                this.close(1008, `Model ${message.setup.model} is not allowed by this proxy.`, 'proxy');
+                return;
+            }
+            console.info(`Session for ${this.user} using ${message.setup.model}`);
+            this.openUpstream();
+        }
+
+        // Hold messages until the upstream socket is open
+        if (this.upstream.readyState === 1) {
+            this.upstream.send(text);
+        } else {
+            this.pendingBytes += Buffer.byteLength(text);
+            if (this.pendingBytes > MAX_PENDING_BYTES) {
+                this.close(1013, 'Too much data before the session was set up.', 'proxy');
+                return;
+            }
+            this.pending.push(text);
+        }
+    }
+
+    openUpstream() {
+        this.upstream = new this.WebSocketClient(this.upstreamUrl);
+        this.upstream.binaryType = 'arraybuffer';
+
+        this.upstream.addEventListener('open', () => {
+            this.pending.forEach((text) => this.upstream.send(text));
+            this.pending = [];
+            this.pendingBytes = 0;
+        });
+        this.upstream.addEventListener('message', (event) => {
+            // Forward as binary frames, like the Gemini API does
+            this.client.send(Buffer.from(event.data));
+        });
+        this.upstream.addEventListener('close', (event) => {
+            this.close(event.code, event.reason, 'upstream');
+        });
+        this.upstream.addEventListener('error', () => {
+            console.error(`Upstream socket error (${this.user})`);
+        });
+    }
+
+    /**
+     * Closes both sides, passing the close code and reason on to the other side.
+     * @param {number} code - Close code
+     * @param {string} reason - Close reason
+     * @param {'client'|'upstream'|'proxy'} origin - Side that initiated the close
+     */
+    close(code, reason, origin) {
+        if (this.closed) return;
+        this.closed = true;
+
+        // 1005 and 1006 are reserved and cannot be sent in a close frame
+        const sendableCode = [1005, 1006].includes(code) ? 1011 : code;
+        if (origin !== 'client') {
+            this.client.close(sendableCode, reason || '');
+        }
+        if (origin !== 'upstream' && this.upstream && this.upstream.readyState <= 1) {
+            this.upstream.close(sendableCode >= 3000 || sendableCode === 1000 ? sendableCode : 1000, reason || '');
+        }
+        console.info(`Session for ${this.user} closed by ${origin} (${code}${reason ? `: ${reason}` : ''})`);
+        this.onClose();
+    }
+}
+
+/**
+ * Serves the app's static files from the repository root.
+ */
+async function serveStatic(request, response) {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+    } catch (error) {
+        // Malformed percent-encoding
+        response.writeHead(400).end();
+        return;
+    }
+    const path = normalize(join(APP_ROOT, decoded));
+
+    // Only serve the app, never the server code or files outside the repository
+    if (!path.startsWith(APP_ROOT + sep) || path.startsWith(join(APP_ROOT, 'server') + sep) || !CONTENT_TYPES[extname(path)]) {
+        response.writeHead(404).end();
+        return;
+    }
+
+    try {
+        const content = await readFile(path);
+        response.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(path)] }).end(content);
+    } catch (error) {
+        response.writeHead(404).end();
+    }
+}
+
+/**
+ * Starts the proxy.
+ * @param {Object} options - See the environment variables at the top of this file
+ * @returns {Promise<import('node:http').Server>} The listening server
+ */
+export async function startProxyServer({
+    apiKey,
+    port = 8080,
+    accessTokens = [],
+    allowedModels = ['models/gemini-2.0-flash-exp'],
+    maxSessions = 2,
+    sessionsPerMinute = 10,
+    upstreamUrl = DEFAULT_UPSTREAM_URL,
+    trustedProxies = []
+}) {
+    if (!apiKey) {
+        throw new Error('GEMINI_API_KEY is required');
+    }
+
+    const WebSocketClient = await loadWebSocketClient();
+    const limiter = new RateLimiter({ maxSessions, sessionsPerMinute });
+    const upstream = new URL(upstreamUrl);
+    upstream.searchParams.set('key', apiKey);
+
+    const server = createServer(serveStatic);
+
+    const hash = (token) => createHash('sha256').update(token).digest();
+    const tokenDigests = accessTokens.map(hash);
+
+    const identify = (request) => {
+        const url = new URL(request.url, 'http://localhost');
+        if (accessTokens.length) {
+            const token = url.searchParams.get('token');
+            if (!token) return null;
+            // Hashes have the same length, so they can be compared in constant time
+            const digest = hash(token);
+            const isValid = tokenDigests.some((candidate) => timingSafeEqual(candidate, digest));
+            // A hash tells users apart without writing their tokens to the log
+            return isValid ? `token:${digest.toString('hex').slice(0, 16)}` : null;
+        }
+        return clientAddress(request, trustedProxies.map(normalizeAddress));
+    };
+
+    attachWebSocketServer(server, (connection, request) => {
+        const user = identify(request);
+        new RelaySession(connection, user, {
+            upstreamUrl: upstream.toString(),
+            allowedModels,
+            WebSocketClient,
+            onClose: () => limiter.release(user)
+        });
+    }, {
+        verifyClient: (request) => {
+            if (new URL(request.url, 'http://localhost').pathname !== '/ws') {
+                return { status: 404, message: 'Not Found' };
+            }
+            const user = identify(request);
+            if (!user) {
+                return { status: 401, message: 'Unauthorized' };
+            }
+            const rejection = limiter.acquire(user);
+            if (rejection) {
+                console.warn(`Rejected session for ${user}: ${rejection}`);
+                return { status: 429, message: 'Too Many Requests' };
+            }
+            return true;
+        }
+    });
+
+    return new Promise((resolve) => {
+        server.listen(port, () => {
+            console.info(`Gemini proxy listening on http://localhost:${server.address().port} (WebSocket at /ws)`);
+            resolve(server);
+        });
+    });
+}
+
+// Run as a script
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const env = process.env;
+    startProxyServer({
+        apiKey: env.GEMINI_API_KEY,
+        port: parseInt(env.PROXY_PORT || '8080'),
+        accessTokens: list(env.PROXY_ACCESS_TOKENS, ''),
+        allowedModels: list(env.PROXY_ALLOWED_MODELS, 'models/gemini-2.0-flash-exp'),
+        maxSessions: parseInt(env.PROXY_MAX_SESSIONS || '2'),
+        sessionsPerMinute: parseInt(env.PROXY_SESSIONS_PER_MINUTE || '10'),
+        upstreamUrl: env.PROXY_UPSTREAM_URL || DEFAULT_UPSTREAM_URL,
+        trustedProxies: list(env.PROXY_TRUSTED_PROXIES, '')
+    }).catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
\ No newline at end of file
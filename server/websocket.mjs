@@ -0,0 +1,252 @@
+/**
+ * Minimal dependency-free WebSocket (RFC 6455) server used by the development servers in this folder.
+ * Supports text and binary messages, fragmentation, ping/pong and close handshakes,
+ * which is all the BidiGenerateContent protocol needs.
+ */
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 16 * 1024 * 1024;
+
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+/**
+ * Accepts WebSocket upgrades on an existing HTTP server.
+ * @param {import('node:http').Server} server - HTTP server to attach to
+ * @param {Function} onConnection - Called with (connection, request) for every accepted socket
+ * @param {Object} [options]
+ * @param {Function} [options.verifyClient] - Called with the request, return false or an { status, message } object to reject it
+ */
+export function attachWebSocketServer(server, onConnection, { verifyClient } = {}) {
+    server.on('upgrade', (request, socket) => {
+        const key = request.headers['sec-websocket-key'];
+        if (!key || request.headers.upgrade?.toLowerCase() !== 'websocket') {
+            rejectUpgrade(socket, 400, 'Bad Request');
+            return;
+        }
+
+        const verdict = verifyClient ? verifyClient(request) : true;
+        if (verdict !== true) {
+            const { status = 403, message = 'Forbidden' } = typeof verdict === 'object' ? verdict : {};
+            rejectUpgrade(socket, status, message);
+            return;
+        }
+
+        const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            ''
+        ].join('\r\n'));
+
+        socket.setNoDelay(true);
+        onConnection(new WebSocketConnection(socket), request);
+    });
+}
+
+function rejectUpgrade(socket, status, message) {
+    socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+}
+
+/**
+ * Server side of a single WebSocket connection.
+ * Emits 'message' (data: Buffer|string, isBinary: boolean) and 'close' (code: number, reason: string).
+ */
+export class WebSocketConnection extends EventEmitter {
+    /**
+     * @param {import('node:net').Socket} socket - Upgraded TCP socket
+     */
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentBytes = 0;         // Size of the message being reassembled
+        this.fragmentOpcode = null;
+        this.isOpen = true;
+        this.closeSent = false;
+        this.isFailed = false;          // A protocol violation ended the connection, further data is ignored
+
+        socket.on('data', (chunk) => this.onData(chunk));
+        socket.on('close', () => this.onSocketClose(1006, 'Connection lost'));
+        socket.on('error', (error) => this.emit('error', error));
+    }
+
+    /**
+     * Sends a message to the client.
+     * @param {string|Buffer|Object} data - Objects are JSON encoded
+     * @param {Object} [options]
+     * @param {boolean} [options.binary=true] - Send as a binary frame, which browsers deliver as a Blob
+     */
+    send(data, { binary = true } = {}) {
+        if (!this.isOpen) return;
+        if (typeof data === 'object' && !Buffer.isBuffer(data)) {
+            data = JSON.stringify(data);
+        }
+        const payload = Buffer.isBuffer(data) ? data : Buffer.from(data);
+        this.writeFrame(binary ? OPCODES.BINARY : OPCODES.TEXT, payload);
+    }
+
+    /**
+     * Starts the closing handshake.
+     * @param {number} [code=1000] - Close code
+     * @param {string} [reason=''] - Close reason, at most 123 bytes
+     */
+    close(code = 1000, reason = '') {
+        if (!this.isOpen || this.closeSent) return;
+        const reasonBuffer = Buffer.from(reason).subarray(0, 123);
+        const payload = Buffer.alloc(2 + reasonBuffer.length);
+        payload.writeUInt16BE(code, 0);
+        reasonBuffer.copy(payload, 2);
+        this.writeFrame(OPCODES.CLOSE, payload);
+        this.closeSent = true;
+        // Do not wait forever for a client that never answers the close frame
+        setTimeout(() => this.socket.destroy(), 1000).unref();
+    }
+
+    writeFrame(opcode, payload) {
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.alloc(2);
+            header[1] = payload.length;
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        header[0] = 0x80 | opcode; // FIN + opcode, server frames are never masked
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    onData(chunk) {
+        if (this.isFailed) return;
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (this.buffer.length >= 2) {
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0F;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7F;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            // Clients must mask every frame (RFC 6455 section 5.1)
+            if (!masked) {
+                this.fail(1002, 'Client frames must be masked');
+                return;
+            }
+            // The limit applies to the whole message, not only to one of its fragments
+            const messageBytes = opcode === OPCODES.CONTINUATION ? this.fragmentBytes + length : length;
+            if (length > MAX_MESSAGE_BYTES || (opcode < OPCODES.CLOSE && messageBytes > MAX_MESSAGE_BYTES)) {
+                this.fail(1009, 'Message too big');
+                return;
+            }
+
+            const maskOffset = offset;
+            if (masked) offset += 4;
+            if (this.buffer.length < offset + length) return;
+
+            const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+            if (masked) {
+                for (let i = 0; i < payload.length; i++) {
+                    payload[i] ^= this.buffer[maskOffset + (i % 4)];
+                }
+            }
+            this.buffer = this.buffer.subarray(offset + length);
+            this.onFrame(fin, opcode, payload);
+        }
+    }
+
+    onFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case OPCODES.PING:
+                this.writeFrame(OPCODES.PONG, payload);
+                return;
+            case OPCODES.PONG:
+                return;
+            case OPCODES.CLOSE: {
+                const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+                const reason = payload.subarray(2).toString();
+                if (!this.closeSent) {
+                    this.writeFrame(OPCODES.CLOSE, payload.subarray(0, 2));
+                    this.closeSent = true;
+                }
+                this.socket.end();
+                this.onSocketClose(code, reason);
+                return;
+            }
+        }
+
+        // Reassemble fragmented messages
+        if (opcode !== OPCODES.CONTINUATION) {
+            this.fragmentOpcode = opcode;
+            this.fragments = [];
+            this.fragmentBytes = 0;
+        }
+        this.fragments.push(payload);
+        this.fragmentBytes += payload.length;
+        if (!fin) return;
+
+        const data = Buffer.concat(this.fragments);
+        const isBinary = this.fragmentOpcode === OPCODES.BINARY;
+        this.fragments = [];
+        this.fragmentBytes = 0;
+        this.emit('message', isBinary ? data : data.toString(), isBinary);
+    }
+
+    /**
+     * Closes the connection after a protocol violation and drops what was received.
+     * @param {number} code - Close code
+     * @param {string} reason - Close reason
+     */
+    fail(code, reason) {
+        this.isFailed = true;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentBytes = 0;
+        this.close(code, reason);
+    }
+
+    onSocketClose(code, reason) {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.emit('close', code, reason);
+    }
+}
+
+/**
+ * Returns a WebSocket client constructor: the global one in Node 22+, or the `ws` package if it is installed.
+ * @returns {Promise<Function>}
+ */
+export async function loadWebSocketClient() {
+    if (globalThis.WebSocket) return globalThis.WebSocket;
+    try {
+        return (await import('ws')).WebSocket;
+    } catch (error) {
+        throw new Error('No WebSocket client available, use Node 22+ or install the `ws` package');
+    }
+}
\ No newline at end of file